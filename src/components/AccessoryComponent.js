@@ -0,0 +1,109 @@
+/**
+ * @file Defines a component that attaches accessory models to the bones of a character.
+ * @module components/AccessoryComponent
+ */
+
+import { Object3D } from 'three';
+import BaseComponent from './BaseComponent.js';
+import AnimationComponent from './AnimationComponent.js';
+import Entity from '../entities/Entity.js';
+import { disposeObject } from '../utils/disposeObject.js';
+
+/**
+ * Attaches accessories such as glasses or a cane to the bones of the owner's character model,
+ * as child entities named after the accessory and tagged `'accessory'`, so they follow its animations.
+ * Each accessory needs an `attachment` entry in properties.json, e.g.
+ * `{ "bone": "head", "position": { "x": 0, "y": 0.12, "z": 0.15 } }`, where the position and
+ * optional rotation (in radians) are relative to the bone. The owner needs an AnimationComponent,
+ * and the properties data must be loaded before the component is created.
+ */
+export default class AccessoryComponent extends BaseComponent {
+    /**
+     * @param {import('../entities/Entity.js').default} owner - The entity that owns this component.
+     * @param {string[]} accessories - The names of the accessory models, e.g. `['aid-glasses']`.
+     * @param {import('../loaders/ObjectLoader.js').default} loader - The object loader instance.
+     */
+    constructor(owner, accessories, loader) {
+        super(owner);
+        /** @type {string[]} */
+        this.accessories = accessories;
+        /**
+         * The attached accessory entities.
+         * @type {Entity[]}
+         */
+        this.attachedEntities = [];
+        /** @type {boolean} */
+        this.isDestroyed = false;
+
+        const animation = owner.getComponent(AnimationComponent);
+        if (!animation) {
+            console.warn('AccessoryComponent: The owner has no AnimationComponent, accessories are not attached.');
+            return;
+        }
+        animation.ready.then((model) => {
+            if (model && !this.isDestroyed) this.attachAll(model, loader);
+        });
+    }
+
+    /**
+     * Loads every accessory and attaches it to its bone of the character model.
+     * Stops once the component is destroyed, e.g. when the character is switched mid-load, since the
+     * loader may be disposed by then too; a model arriving afterwards is disposed of instead of attached.
+     * @private
+     * @param {Object3D} model - The loaded character model.
+     * @param {import('../loaders/ObjectLoader.js').default} loader - The object loader instance.
+     */
+    async attachAll(model, loader) {
+        for (const name of this.accessories) {
+            if (this.isDestroyed) return;
+            const properties = loader.getPropertiesData(name);
+            if (!properties || !properties.attachment) {
+                console.warn(`AccessoryComponent: "${name}" has no attachment in properties.json.`);
+                continue;
+            }
+
+            const { bone: boneName, position, rotation } = properties.attachment;
+            const bone = model.getObjectByName(boneName);
+            if (!bone) {
+                console.warn(`AccessoryComponent: Bone "${boneName}" not found for "${name}".`);
+                continue;
+            }
+
+            let accessory;
+            try {
+                accessory = await loader.getOrCreateGLTF(properties.path);
+            } catch (error) {
+                console.error(`AccessoryComponent: Failed to load "${name}":`, error);
+                continue;
+            }
+            // The owner may have been destroyed while the model was loading
+            if (this.isDestroyed) {
+                disposeObject(accessory);
+                return;
+            }
+
+            const entity = new Entity(this.owner.game, this.owner.scene).addTag('accessory');
+            entity.name = name;
+            entity.sceneObject.add(accessory);
+            if (position) entity.sceneObject.position.set(position.x, position.y, position.z);
+            if (rotation) entity.sceneObject.rotation.set(rotation.x, rotation.y, rotation.z);
+            accessory.traverse((c) => {
+                if (c.isMesh) {
+                    c.castShadow = true;
+                    c.receiveShadow = true;
+                }
+            });
+            this.owner.addChild(entity, { attachTo: bone });
+            this.attachedEntities.push(entity);
+        }
+    }
+
+    /**
+     * Destroys the accessory entities.
+     */
+    destroy() {
+        this.isDestroyed = true;
+        this.attachedEntities.forEach((entity) => entity.destroy());
+        this.attachedEntities = [];
+    }
+}
@@ -1,8 +1,9 @@
 import BaseComponent from './BaseComponent.js';
-import { AnimationAction, AnimationMixer, LoopOnce, LoopRepeat, Scene } from 'three';
+import { AnimationAction, AnimationMixer, LoopOnce, LoopRepeat, Object3D, Scene } from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { inputHandler } from '../core/InputHandler.js';
 import PlayerInputComponent from './PlayerInputComponent.js';
+import PhysicsComponent from './PhysicsComponent.js';
+import { disposeObject } from '../utils/disposeObject.js';
 
 /**
  * Manages animations for the owner entity's 3D model.
@@ -28,51 +29,73 @@ export default class AnimationComponent extends BaseComponent {
         this.animationClipsData = animationData.animations || [];
         /** @type {AnimationAction | null} */
         this.currentAction = null;
+        /**
+         * An action playing alongside `currentAction` with a blended weight (the run cycle
+         * mixed into the walk cycle). Stopped whenever another animation is played.
+         * @type {AnimationAction | null}
+         */
+        this.blendedAction = null;
 
-        const loader = new GLTFLoader();
-        loader.load(
-            animationData.path,
-            (gltf) => {
-                const model = gltf.scene;
-                this.owner.sceneObject.add(model);
-                this.mixer = new AnimationMixer(model);
-
-                this.animationClipsData.forEach((animData) => {
-                    let clip = gltf.animations.find(clip => clip.name === animData.name);
-
-                    // Fallback to index if name not found and index is provided
-                    if (!clip && typeof animData.index === 'number' && gltf.animations[animData.index]) {
-                        clip = gltf.animations[animData.index];
-                        // Assign the name from animData to the clip if it was found by index
-                        // This ensures consistency when referencing by name later
-                        clip.name = animData.name; 
+        /**
+         * Resolves with the model once it is loaded and added to the owner, or with null if it failed to load
+         * or the owner was destroyed first.
+         * Lets other components reach into the model, e.g. to attach objects to its bones.
+         * @type {Promise<Object3D | null>}
+         */
+        this.ready = new Promise((resolve) => {
+            const loader = new GLTFLoader();
+            loader.load(
+                animationData.path,
+                (gltf) => {
+                    const model = gltf.scene;
+                    // The owner may have been destroyed while the model was loading
+                    if (this.owner.isDestroyed) {
+                        disposeObject(model);
+                        resolve(null);
+                        return;
                     }
-
-                    if (clip) {
-
-                        this.actions[animData.name] = this.mixer.clipAction(clip);
-
-                        if (animData.enabled) {
-                            this.playAnimation(animData.name);
+                    this.owner.sceneObject.add(model);
+                    this.mixer = new AnimationMixer(model);
+    
+                    this.animationClipsData.forEach((animData) => {
+                        let clip = gltf.animations.find(clip => clip.name === animData.name);
+    
+                        // Fallback to index if name not found and index is provided
+                        if (!clip && typeof animData.index === 'number' && gltf.animations[animData.index]) {
+                            clip = gltf.animations[animData.index];
+                            // Assign the name from animData to the clip if it was found by index
+                            // This ensures consistency when referencing by name later
+                            clip.name = animData.name; 
                         }
-                    } else {
-                        console.warn(`Animation clip "${animData.name}" (index: ${animData.index}) not found in ${animationData.path}`);
-                    }
-                });
-
-                model.traverse((c) => {
-                    c.castShadow = true;
-                    c.receiveShadow = true;
-                });
-            },
-            undefined,
-            (error) => {
-                console.error(
-                    `An error happened while loading model ${animationData.path}:`,
-                    error,
-                );
-            },
-        );
+    
+                        if (clip) {
+    
+                            this.actions[animData.name] = this.mixer.clipAction(clip);
+    
+                            if (animData.enabled) {
+                                this.playAnimation(animData.name);
+                            }
+                        } else {
+                            console.warn(`Animation clip "${animData.name}" (index: ${animData.index}) not found in ${animationData.path}`);
+                        }
+                    });
+    
+                    model.traverse((c) => {
+                        c.castShadow = true;
+                        c.receiveShadow = true;
+                    });
+                    resolve(model);
+                },
+                undefined,
+                (error) => {
+                    console.error(
+                        `An error happened while loading model ${animationData.path}:`,
+                        error,
+                    );
+                    resolve(null);
+                },
+            );
+        });
     }
 
     /**
@@ -102,6 +125,7 @@ export default class AnimationComponent extends BaseComponent {
         if (this.currentAction && this.currentAction !== action) {
             this.currentAction.stop();
         }
+        this.stopBlendedAction();
 
         const clipData = this.animationClipsData.find(a => a.name === animationName);
         if (clipData) {
@@ -126,10 +150,55 @@ export default class AnimationComponent extends BaseComponent {
             action.setLoop(LoopRepeat);
         }
 
-        action.reset().play();
+        action.reset().setEffectiveWeight(1).play();
         this.currentAction = action;
     }
 
+    /**
+     * Plays the walk cycle blended with the run cycle according to a movement speed:
+     * pure walk up to the walking speed, pure run at the running speed.
+     * Models without a run (or sprint) animation just walk.
+     * @param {number} speed - The current movement speed.
+     * @param {number} walkSpeed - The speed the walk cycle is made for.
+     * @param {number} runSpeed - The speed the run cycle is made for.
+     */
+    playLocomotion(speed, walkSpeed, runSpeed) {
+        const walk = this.actions.walk;
+        if (!walk) return;
+        if (this.currentAction !== walk) {
+            this.playAnimation('walk');
+        }
+
+        const runName = this.actions.run ? 'run' : 'sprint';
+        const run = this.actions[runName];
+        if (!run || runSpeed <= walkSpeed) return;
+
+        const blend = Math.min(Math.max((speed - walkSpeed) / (runSpeed - walkSpeed), 0), 1);
+        if (blend > 0 && this.blendedAction !== run) {
+            const clipData = this.animationClipsData.find(a => a.name === runName);
+            run.setLoop(LoopRepeat);
+            if (clipData && clipData.duration) {
+                run.setDuration(clipData.duration);
+            }
+            run.reset().play();
+            this.blendedAction = run;
+        }
+        walk.setEffectiveWeight(1 - blend);
+        if (this.blendedAction) {
+            this.blendedAction.setEffectiveWeight(blend);
+        }
+    }
+
+    /**
+     * @private
+     */
+    stopBlendedAction() {
+        if (this.blendedAction) {
+            this.blendedAction.stop();
+            this.blendedAction = null;
+        }
+    }
+
     /**
      * Stops a specific animation by name.
      * @param {string} animationName - The name of the animation to stop.
@@ -140,6 +209,7 @@ export default class AnimationComponent extends BaseComponent {
             action.stop();
             if (this.currentAction === action) {
                 this.currentAction = null;
+                this.stopBlendedAction();
             }
         }
     }
@@ -172,16 +242,14 @@ export default class AnimationComponent extends BaseComponent {
         }
 
         // Player-specific animation logic
-        if (this.owner.getComponent(PlayerInputComponent)) {
-            const isMoving =
-                inputHandler.isKeyDown('w') ||
-                inputHandler.isKeyDown('s') ||
-                inputHandler.isKeyDown('a') ||
-                inputHandler.isKeyDown('d');
-
-            if (isMoving && this.actions.walk && this.currentAction !== this.actions.walk) {
-                this.playAnimation('walk');
-            } else if (!isMoving && this.actions.idle && this.currentAction !== this.actions.idle) {
+        const physics = this.owner.getComponent(PhysicsComponent);
+        if (this.owner.getComponent(PlayerInputComponent) && physics) {
+            // Covers keyboard, stick and click-to-move alike
+            const isMoving = physics.movementDirection.lengthSq() > 0;
+
+            if (isMoving) {
+                this.playLocomotion(physics.getHorizontalSpeed(), physics.walkSpeed, physics.runSpeed);
+            } else if (this.actions.idle && this.currentAction !== this.actions.idle) {
                 this.playAnimation('idle');
             }
         }
@@ -199,5 +267,6 @@ export default class AnimationComponent extends BaseComponent {
         this.actions = {};
         this.animationClipsData = [];
         this.currentAction = null;
+        this.blendedAction = null;
     }
 }
@@ -6,6 +6,13 @@
 /**
  * The base class for all components. It defines the interface that all components must follow.
  * Each component is a "building block" that adds a behavior or data to an entity.
+ *
+ * Lifecycle, driven by the owner entity:
+ * 1. `onAttach()` when added with `Entity.addComponent`, then `onEnable()` if the component is enabled.
+ * 2. `update()` every simulation step and `interpolate()` every rendered frame, while enabled.
+ *    `setEnabled()` calls `onDisable()` and `onEnable()` as the component is turned off and on.
+ * 3. When removed with `Entity.removeComponent`: `onDisable()` if enabled, `onDetach()`, then `destroy()`.
+ *    When the entity itself is destroyed, only `destroy()` is called, for every component.
  */
 export default class BaseComponent {
     /**
@@ -17,14 +24,88 @@ export default class BaseComponent {
          * @type {import('../entities/Entity.js').default}
          */
         this.owner = owner;
+        /**
+         * Whether the component receives updates. Change it through `setEnabled`.
+         * @type {boolean}
+         */
+        this.enabled = true;
+        /**
+         * Whether the component is currently attached to its owner.
+         * @type {boolean}
+         */
+        this.isAttached = false;
+    }
+
+    /**
+     * Turns the component on or off. A disabled component is skipped by its entity's
+     * `update` and `interpolate`. Calls `onEnable` or `onDisable` if the component is attached
+     * and its state changes.
+     * @param {boolean} enabled - Whether the component should be enabled.
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        if (!this.isAttached) return;
+        if (enabled) {
+            this.onEnable();
+        } else {
+            this.onDisable();
+        }
+    }
+
+    /**
+     * Called when the component is added to its entity, before `onEnable`.
+     * Other components added before this one can be looked up here.
+     */
+    onAttach() {
+        // To be implemented by subclasses
+    }
+
+    /**
+     * Called when the component is removed from its entity, after `onDisable` and before `destroy`.
+     */
+    onDetach() {
+        // To be implemented by subclasses
+    }
+
+    /**
+     * Called when the component starts receiving updates: once attached, and whenever it is re-enabled.
+     */
+    onEnable() {
+        // To be implemented by subclasses
+    }
+
+    /**
+     * Called when the component stops receiving updates: when disabled, and before it is detached.
+     * Should undo the effects of the component that outlive its updates (e.g. stop a movement it drives).
+     */
+    onDisable() {
+        // To be implemented by subclasses
     }
 
     /**
-     * Update method, called every frame by the entity's loop.
+     * Update method, called every simulation step by the entity's loop.
      * The component's specific logic (movement, rendering, etc.) goes here.
-     * @param {number} deltaTime - The time elapsed since the last frame.
+     * @param {number} deltaTime - The fixed, time-scaled step duration in seconds.
      */
     update(deltaTime) {
         // To be implemented by subclasses
     }
+
+    /**
+     * Called once per rendered frame, after the simulation steps.
+     * Components that move the entity can blend between their previous and current state here.
+     * @param {number} alpha - How far the render time is between the previous and the current step, in [0, 1).
+     */
+    interpolate(alpha) {
+        // To be implemented by subclasses
+    }
+
+    /**
+     * Called when the component is removed or its owner entity is destroyed. Releases anything
+     * the component registered outside the entity (e.g. a collider in the CollisionWorld).
+     */
+    destroy() {
+        // To be implemented by subclasses
+    }
 }
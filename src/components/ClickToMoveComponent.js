@@ -0,0 +1,218 @@
+/**
+ * @file Defines a component that walks the player to a clicked point or object.
+ * @module components/ClickToMoveComponent
+ */
+
+import * as THREE from 'three';
+import BaseComponent from './BaseComponent.js';
+import PhysicsComponent from './PhysicsComponent.js';
+import PlayerInputComponent from './PlayerInputComponent.js';
+import PlayerInteractionComponent from './PlayerInteractionComponent.js';
+import { inputHandler } from '../core/InputHandler.js';
+import { navigationDebug } from '../core/NavigationDebugOverlay.js';
+
+/**
+ * Lets the player click or tap the floor to walk there, or click an interactable object
+ * to walk up to it and trigger its interaction on arrival. With a NavigationGrid, the player
+ * follows an A* path around walls and props; without one, it walks in a straight line.
+ * Must be added after the PlayerInputComponent: it overrides the direction that component
+ * sets while a destination is active, and keyboard or stick movement cancels the destination.
+ */
+export default class ClickToMoveComponent extends BaseComponent {
+    /**
+     * @param {import('../entities/Entity.js').default} owner - The entity that owns this component.
+     * @param {THREE.Camera} camera - The camera used to turn clicks into world positions.
+     * @param {THREE.Object3D[]} interactableObjects - The objects that can be clicked to interact with.
+     * @param {import('../core/NavigationGrid.js').default | null} [navigationGrid=null] - The world's navigation grid.
+     */
+    constructor(owner, camera, interactableObjects = [], navigationGrid = null) {
+        super(owner);
+        this.camera = camera;
+        this.interactableObjects = interactableObjects;
+        this.navigationGrid = navigationGrid;
+        /** @type {THREE.Vector3 | null} Where the player is walking to, on the floor. */
+        this.destination = null;
+        /** @type {THREE.Vector3[]} The remaining points to walk through, ending at the destination. */
+        this.waypoints = [];
+        /** @type {THREE.Object3D | null} The object to interact with on arrival, if any. */
+        this.targetObject = null;
+        this.arrivalDistance = 0.1; // How close counts as arrived at a floor point or waypoint
+        this.interactDistance = 1.5; // How close to stop before an object, within interaction range
+
+        this.raycaster = new THREE.Raycaster();
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+        this.marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.3, 0.45, 32),
+            new THREE.MeshBasicMaterial({ color: 0x61dafb, transparent: true, opacity: 0.8 }),
+        );
+        this.marker.rotation.x = -Math.PI / 2;
+        this.marker.visible = false;
+        owner.scene.add(this.marker);
+    }
+
+    /**
+     * Stops walking to the current destination.
+     */
+    onDisable() {
+        if (this.destination) {
+            const physics = this.owner.getComponent(PhysicsComponent);
+            if (physics) physics.setMovementDirection(0, 0);
+        }
+        this.clearDestination();
+    }
+
+    /**
+     * Removes the destination marker from the scene.
+     */
+    destroy() {
+        this.owner.scene.remove(this.marker);
+        this.marker.geometry.dispose();
+        this.marker.material.dispose();
+    }
+
+    /**
+     * Picks a new destination on click, then steers the PhysicsComponent towards it.
+     * @param {number} deltaTime - The fixed, time-scaled step duration in seconds.
+     */
+    update(deltaTime) {
+        const playerInput = this.owner.getComponent(PlayerInputComponent);
+        if (playerInput && (playerInput.moveDirection.x !== 0 || playerInput.moveDirection.z !== 0)) {
+            this.clearDestination();
+        }
+
+        if (inputHandler.wasMouseButtonJustPressed(0)) {
+            this.pickDestination();
+        }
+
+        if (!this.destination) return;
+
+        const physics = this.owner.getComponent(PhysicsComponent);
+        if (!physics) return;
+
+        const position = physics.currentPosition;
+        while (this.waypoints.length > 1 && this.distanceTo(this.waypoints[0], position) <= this.arrivalDistance) {
+            this.waypoints.shift();
+        }
+
+        // Only the last waypoint can still be within reach here
+        const hasArrived = this.distanceTo(this.waypoints[0], position) <= this.arrivalDistance
+            || (this.targetObject && this.distanceTo(this.targetObject.position, position) <= this.interactDistance);
+
+        if (hasArrived) {
+            physics.setMovementDirection(0, 0);
+            const target = this.targetObject;
+            this.clearDestination();
+            if (target) {
+                this.interactWith(target);
+            }
+            return;
+        }
+
+        const dx = this.waypoints[0].x - position.x;
+        const dz = this.waypoints[0].z - position.z;
+        physics.setMovementDirection(dx, dz);
+        physics.setMovementRotation((Math.atan2(dx, dz) * 180) / Math.PI);
+    }
+
+    /**
+     * @private
+     * @param {THREE.Vector3} point
+     * @param {THREE.Vector3} position
+     * @returns {number} The distance between the two on the XZ plane.
+     */
+    distanceTo(point, position) {
+        return Math.hypot(point.x - position.x, point.z - position.z);
+    }
+
+    /**
+     * Casts a ray from the pointer, preferring interactable objects over the floor.
+     * @private
+     */
+    pickDestination() {
+        const pointer = inputHandler.getPointerNDC();
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        const hit = this.raycaster.intersectObjects(this.interactableObjects, true)[0];
+        const target = hit ? this.findInteractable(hit.object) : null;
+        if (target) {
+            this.setDestination(target.position, target);
+            return;
+        }
+
+        const point = new THREE.Vector3();
+        if (this.raycaster.ray.intersectPlane(this.floorPlane, point)) {
+            this.setDestination(point);
+        }
+    }
+
+    /**
+     * Walks up from a hit mesh to the interactable object it belongs to.
+     * @private
+     * @param {THREE.Object3D} object - The intersected object.
+     * @returns {THREE.Object3D | null}
+     */
+    findInteractable(object) {
+        let current = object;
+        while (current) {
+            if (this.interactableObjects.includes(current) && current.userData.interactionId) {
+                return current;
+            }
+            current = current.parent;
+        }
+        return null;
+    }
+
+    /**
+     * Sets where the player should walk to and shows the marker there.
+     * Does nothing if the navigation grid has no path to the point.
+     * @param {THREE.Vector3} point - The destination; only X and Z are used.
+     * @param {THREE.Object3D | null} [targetObject=null] - An object to interact with on arrival.
+     */
+    setDestination(point, targetObject = null) {
+        const destination = new THREE.Vector3(point.x, 0, point.z);
+        const physics = this.owner.getComponent(PhysicsComponent);
+        const from = physics ? physics.currentPosition : this.owner.sceneObject.position;
+
+        if (this.navigationGrid) {
+            const path = this.navigationGrid.findPath(from, destination);
+            if (!path) {
+                console.log('ClickToMoveComponent: No path to the clicked point.');
+                return;
+            }
+            this.waypoints = path;
+            navigationDebug.showPath(from, path);
+        } else {
+            this.waypoints = [destination];
+        }
+
+        this.destination = destination;
+        this.targetObject = targetObject;
+        this.marker.position.set(point.x, 0.02, point.z);
+        this.marker.visible = true;
+    }
+
+    /**
+     * Stops walking to the current destination and hides the marker.
+     */
+    clearDestination() {
+        this.destination = null;
+        this.waypoints = [];
+        this.targetObject = null;
+        this.marker.visible = false;
+    }
+
+    /**
+     * Triggers the interaction of an object the player walked up to.
+     * @private
+     * @param {THREE.Object3D} target - The interactable object.
+     */
+    interactWith(target) {
+        const interaction = this.owner.getComponent(PlayerInteractionComponent);
+        if (!interaction) {
+            console.warn('ClickToMoveComponent: No PlayerInteractionComponent to interact with the target.');
+            return;
+        }
+        interaction.interactWith(target);
+    }
+}
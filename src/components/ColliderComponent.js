@@ -0,0 +1,113 @@
+/**
+ * @file Defines a component that gives an entity a collision shape.
+ * @module components/ColliderComponent
+ */
+
+import { Box3 } from 'three';
+import BaseComponent from './BaseComponent.js';
+import CollisionWorld from '../core/CollisionWorld.js';
+
+/**
+ * A collision shape registered with the CollisionWorld of the owner's scene.
+ * - `'box'` colliders are static: their bounds are taken from the owner's geometry
+ *   (e.g. a loaded GLB) when the component is added or enabled, then shrunk by `padding`.
+ *   With `isGround`, the box marks walkable floor instead of blocking movement.
+ * - `'capsule'` colliders are dynamic: a vertical capsule of `radius` and `height`
+ *   that the PhysicsComponent moves and slides along static colliders.
+ */
+export default class ColliderComponent extends BaseComponent {
+    /**
+     * @param {import('../entities/Entity.js').default} owner - The entity that owns this component.
+     * @param {object} [options]
+     * @param {'box'|'capsule'} [options.shape='box'] - The collision shape.
+     * @param {number} [options.radius=0.3] - The capsule radius.
+     * @param {number} [options.height=1.8] - The capsule height.
+     * @param {number} [options.offsetY=0] - Height of the bottom of the capsule above the owner's position.
+     * @param {number} [options.stepHeight=0.35] - How high an obstacle a capsule walks onto instead of being blocked.
+     * @param {number} [options.padding=0] - How much to shrink a box on the X and Z axes, on each side.
+     * @param {boolean} [options.isGround=false] - Whether a box marks floor the player can stand on.
+     */
+    constructor(owner, { shape = 'box', radius = 0.3, height = 1.8, offsetY = 0, stepHeight = 0.35, padding = 0, isGround = false } = {}) {
+        super(owner);
+        this.shape = shape;
+        this.radius = radius;
+        this.height = height;
+        this.offsetY = offsetY;
+        this.stepHeight = stepHeight;
+        this.padding = padding;
+        this.isGround = isGround;
+        /**
+         * The world-space bounds of a box collider.
+         * @type {Box3}
+         */
+        this.bounds = new Box3();
+        /** @type {CollisionWorld} */
+        this.collisionWorld = CollisionWorld.forScene(owner.scene);
+        /** @type {boolean} Whether the collider is currently in the broadphase. */
+        this.isRegistered = false;
+    }
+
+    /**
+     * Adds a static collider to the broadphase, with bounds taken from the owner's current geometry.
+     */
+    onEnable() {
+        if (this.isStatic) {
+            this.updateBounds();
+        }
+    }
+
+    /**
+     * Takes a static collider out of the broadphase, so nothing collides with it until it is enabled again.
+     * A disabled dynamic collider is ignored by the PhysicsComponent.
+     */
+    onDisable() {
+        this.unregister();
+    }
+
+    /**
+     * Whether this collider does not move and is stored in the broadphase.
+     * @type {boolean}
+     */
+    get isStatic() {
+        return this.shape === 'box';
+    }
+
+    /**
+     * Recomputes the bounds of a box collider from the owner's geometry, e.g. after it was moved.
+     */
+    updateBounds() {
+        this.unregister();
+
+        this.bounds.setFromObject(this.owner.sceneObject);
+        // An owner without geometry has nothing to collide with, and a disabled collider with nothing
+        if (this.bounds.isEmpty() || !this.enabled) return;
+
+        this.bounds.min.x += this.padding;
+        this.bounds.min.z += this.padding;
+        this.bounds.max.x -= this.padding;
+        this.bounds.max.z -= this.padding;
+        // Keep a degenerate box rather than an inverted one when the padding is too large
+        this.bounds.max.x = Math.max(this.bounds.min.x, this.bounds.max.x);
+        this.bounds.max.z = Math.max(this.bounds.min.z, this.bounds.max.z);
+
+        this.collisionWorld.add(this);
+        this.isRegistered = true;
+    }
+
+    /**
+     * Removes a static collider from the broadphase.
+     */
+    destroy() {
+        this.unregister();
+    }
+
+    /**
+     * @private
+     */
+    unregister() {
+        if (this.isRegistered) {
+            this.collisionWorld.remove(this);
+            this.isRegistered = false;
+        }
+    }
+}
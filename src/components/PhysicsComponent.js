@@ -3,25 +3,56 @@
  * @module components/PhysicsComponent
  */
 
-import { Vector3 } from 'three';
+import { Quaternion, Vector3 } from 'three';
 import BaseComponent from './BaseComponent.js';
+import ColliderComponent from './ColliderComponent.js';
+
+/**
+ * The axis entities turn around.
+ * @type {Vector3}
+ */
+const UP = new Vector3(0, 1, 0);
 
 /**
  * Manages the position, velocity, rotation, and movement of an entity.
  * It updates the position and rotation of the entity's main sceneObject.
+ * Movement eases in and out with `acceleration` and `deceleration`, and turning is
+ * slerped towards the heading set with `setMovementRotation`.
  */
 export default class PhysicsComponent extends BaseComponent {
     /**
      * @param {import('../entities/Entity.js').default} owner - The entity to which this component belongs.
-     * @param {number} [speed=5] - The movement speed of the entity.
+     * @param {number} [walkSpeed=2] - The walking speed of the entity, in units per second.
+     * @param {number} [runSpeed=walkSpeed * 2] - The running speed of the entity, in units per second.
      */
-    constructor(owner, speed = 2) {
+    constructor(owner, walkSpeed = 2, runSpeed = walkSpeed * 2) {
         super(owner);
         /**
-         * The movement speed of the entity.
+         * The top speed while walking, in units per second.
+         * @type {number}
+         */
+        this.walkSpeed = walkSpeed;
+        /**
+         * The top speed while running, in units per second.
+         * @type {number}
+         */
+        this.runSpeed = runSpeed;
+        /**
+         * How fast the entity speeds up or turns its velocity towards the movement direction,
+         * in units per second squared.
+         * @type {number}
+         */
+        this.acceleration = 30;
+        /**
+         * How fast the entity slows down once there is no movement direction, in units per second squared.
          * @type {number}
          */
-        this.speed = speed;
+        this.deceleration = 25;
+        /**
+         * Whether the entity moves at its running speed rather than its walking speed.
+         * @type {boolean}
+         */
+        this.isRunning = false;
         /**
          * The current velocity of the entity.
          * @type {Vector3}
@@ -33,45 +64,260 @@ export default class PhysicsComponent extends BaseComponent {
          */
         this.movementDirection = new Vector3(0, 0, 0);
         /**
-         * The current rotation of the entity in degrees.
+         * The heading the entity turns towards, in degrees around the Y axis.
          * @type {number}
          */
         this.rotation = 0;
+        /**
+         * How quickly the entity turns towards its heading: the fraction of the remaining
+         * angle left after one second is `e^-turnSharpness`.
+         * @type {number}
+         */
+        this.turnSharpness = 12;
+        /**
+         * Downward acceleration in units per second squared. Only applied to entities
+         * with a dynamic ColliderComponent, which provides the ground to land on.
+         * @type {number}
+         */
+        this.gravity = 20;
+        /**
+         * The upward speed given by a jump, in units per second.
+         * @type {number}
+         */
+        this.jumpSpeed = 7;
+        /**
+         * The height of the ground plane below every ground collider, which entities land on when
+         * no collider is under them (e.g. after walking off the edge of the floor tiles), instead
+         * of falling forever. The worlds' floor planes are at y=0. Null lets entities fall.
+         * @type {number | null}
+         */
+        this.fallbackGroundHeight = 0;
+        /**
+         * Whether the entity is standing on the ground.
+         * @type {boolean}
+         */
+        this.isGrounded = false;
+        /**
+         * The simulated position at the end of the previous step.
+         * @type {Vector3}
+         */
+        this.previousPosition = owner.sceneObject.position.clone();
+        /**
+         * The simulated position at the end of the current step.
+         * The sceneObject shows a blend of the previous and current positions.
+         * @type {Vector3}
+         */
+        this.currentPosition = owner.sceneObject.position.clone();
+        /**
+         * The position last written to the sceneObject by `interpolate`, used to detect
+         * when something else (e.g. a teleport) has moved the entity.
+         * @type {Vector3}
+         */
+        this.renderedPosition = owner.sceneObject.position.clone();
+        /**
+         * The simulated orientation at the end of the previous step.
+         * @type {Quaternion}
+         */
+        this.previousQuaternion = owner.sceneObject.quaternion.clone();
+        /**
+         * The simulated orientation at the end of the current step.
+         * @type {Quaternion}
+         */
+        this.currentQuaternion = owner.sceneObject.quaternion.clone();
+        /**
+         * The orientation matching `rotation`, which the current one is slerped towards.
+         * @type {Quaternion}
+         */
+        this.targetQuaternion = owner.sceneObject.quaternion.clone();
+        /**
+         * The orientation last written to the sceneObject by `interpolate`.
+         * @type {Quaternion}
+         */
+        this.renderedQuaternion = owner.sceneObject.quaternion.clone();
+        /**
+         * The velocity the entity accelerates towards, reused between steps.
+         * @private
+         * @type {Vector3}
+         */
+        this.targetVelocity = new Vector3();
     }
 
     /**
      * Sets the intended direction of movement, usually from an InputComponent.
-     * The direction is normalized to ensure consistent speed.
+     * The length of the direction scales the speed (e.g. a half-tilted analog stick),
+     * and is clamped to 1 so diagonal keyboard movement is not faster.
      * @param {number} x - Direction on the X axis.
      * @param {number} z - Direction on the Z axis.
      */
     setMovementDirection(x, z) {
-        this.movementDirection.set(x, 0, z).normalize();
+        this.movementDirection.set(x, 0, z).clampLength(0, 1);
     }
 
     /**
-     * Sets the rotation of the entity's sceneObject around the Y axis.
-     * @param {number} y - The new rotation value in degrees.
+     * Sets the heading the entity turns towards, around the Y axis.
+     * The sceneObject turns smoothly over the next steps, along the shortest arc.
+     * @param {number} y - The new heading in degrees.
      */
     setMovementRotation(y) {
-        if (this.rotation !== y) {
-            this.rotation = y;
-            this.owner.sceneObject.rotation.y = (this.rotation * Math.PI) / 180;
-        }
+        this.rotation = y;
+        this.targetQuaternion.setFromAxisAngle(UP, (y * Math.PI) / 180);
+    }
+
+    /**
+     * Switches between the walking and running speeds.
+     * @param {boolean} isRunning - Whether the entity should run.
+     */
+    setRunning(isRunning) {
+        this.isRunning = isRunning;
+    }
+
+    /**
+     * Returns the current speed on the XZ plane, e.g. to pick a walk or run animation.
+     * @returns {number} The speed in units per second.
+     */
+    getHorizontalSpeed() {
+        return Math.hypot(this.velocity.x, this.velocity.z);
+    }
+
+    /**
+     * Makes the entity jump if it is standing on the ground.
+     * @returns {boolean} Whether the jump happened.
+     */
+    jump() {
+        if (!this.isGrounded) return false;
+        this.velocity.y = this.jumpSpeed;
+        this.isGrounded = false;
+        return true;
     }
 
     /**
-     * Updates the entity's position based on its velocity and the time elapsed.
-     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * Stops the entity, so it does not carry its momentum over when enabled again.
+     */
+    onDisable() {
+        this.velocity.set(0, 0, 0);
+        this.movementDirection.set(0, 0, 0);
+    }
+
+    /**
+     * Advances the simulated position based on its velocity and the step duration.
+     * The horizontal velocity accelerates towards the movement direction at the walking
+     * or running speed, and the orientation turns towards the heading.
+     * With a dynamic ColliderComponent, the move is resolved against the world's colliders,
+     * and gravity pulls the entity down onto the ground below it.
+     * @param {number} deltaTime - The fixed, time-scaled step duration in seconds.
      */
     update(deltaTime) {
-        this.velocity.copy(this.movementDirection).multiplyScalar(this.speed);
+        this.accelerate(deltaTime);
+
+        if (this.owner.sceneObject) {
+            const { position, quaternion } = this.owner.sceneObject;
+            // The entity was moved or turned from outside the simulation: snap to the new pose
+            if (!position.equals(this.renderedPosition)) {
+                this.currentPosition.copy(position);
+                this.renderedPosition.copy(position);
+            }
+            if (!quaternion.equals(this.renderedQuaternion)) {
+                this.currentQuaternion.copy(quaternion);
+                this.targetQuaternion.copy(quaternion);
+                this.renderedQuaternion.copy(quaternion);
+            }
 
+            this.previousPosition.copy(this.currentPosition);
+            this.previousQuaternion.copy(this.currentQuaternion);
+            this.currentQuaternion.slerp(this.targetQuaternion, 1 - Math.exp(-this.turnSharpness * deltaTime));
+
+            const collider = this.owner.getComponent(ColliderComponent);
+            if (collider && collider.enabled && !collider.isStatic) {
+                this.velocity.y -= this.gravity * deltaTime;
+                this.currentPosition.addScaledVector(this.velocity, deltaTime);
+                collider.collisionWorld.resolveMovement(collider, this.previousPosition, this.currentPosition);
+                this.landOnGround(collider);
+            } else {
+                this.velocity.y = 0;
+                this.currentPosition.addScaledVector(this.velocity, deltaTime);
+            }
+        }
+    }
+
+    /**
+     * Changes the horizontal velocity towards the movement direction times the current top speed,
+     * by at most `acceleration` (or `deceleration` when stopping) times the step duration.
+     * The vertical velocity is left to gravity and jumps.
+     * @private
+     * @param {number} deltaTime - The step duration in seconds.
+     */
+    accelerate(deltaTime) {
+        const topSpeed = this.isRunning ? this.runSpeed : this.walkSpeed;
+        const target = this.targetVelocity.copy(this.movementDirection).multiplyScalar(topSpeed);
+        const isStopping = this.movementDirection.lengthSq() === 0;
+        const maxChange = (isStopping ? this.deceleration : this.acceleration) * deltaTime;
+
+        const dx = target.x - this.velocity.x;
+        const dz = target.z - this.velocity.z;
+        const change = Math.hypot(dx, dz);
+        if (change <= maxChange) {
+            this.velocity.x = target.x;
+            this.velocity.z = target.z;
+        } else {
+            this.velocity.x += (dx / change) * maxChange;
+            this.velocity.z += (dz / change) * maxChange;
+        }
+    }
+
+    /**
+     * Keeps the entity on the surface below it: lands it when falling onto the ground,
+     * snaps it up steps and down ramps while walking, and makes it fall off ledges,
+     * down to `fallbackGroundHeight` if no collider is below.
+     * @private
+     * @param {import('./ColliderComponent.js').default} collider - The entity's dynamic collider.
+     */
+    landOnGround(collider) {
+        const position = this.currentPosition;
+        const feetBefore = Math.max(this.previousPosition.y, position.y);
+        let groundHeight = collider.collisionWorld.getGroundHeight(
+            position.x,
+            position.z,
+            feetBefore + collider.stepHeight,
+        );
+        if (groundHeight === null) {
+            groundHeight = this.fallbackGroundHeight;
+        }
+
+        if (groundHeight === null) {
+            this.isGrounded = false;
+            return;
+        }
+
+        const isRising = this.velocity.y > 0;
+        // While walking, follow the surface down a step or a ramp instead of falling
+        const snapDistance = this.isGrounded ? collider.stepHeight : 0;
+        if (!isRising && position.y <= groundHeight + snapDistance) {
+            position.y = groundHeight;
+            this.velocity.y = 0;
+            this.isGrounded = true;
+        } else {
+            this.isGrounded = false;
+        }
+    }
+
+    /**
+     * Places and turns the sceneObject between the previous and current simulated poses.
+     * @param {number} alpha - How far the render time is between the previous and the current step, in [0, 1).
+     */
+    interpolate(alpha) {
         if (this.owner.sceneObject) {
-            const moveDistance = this.velocity
-                .clone()
-                .multiplyScalar(deltaTime);
-            this.owner.sceneObject.position.add(moveDistance);
+            this.owner.sceneObject.position.lerpVectors(
+                this.previousPosition,
+                this.currentPosition,
+                alpha,
+            );
+            this.renderedPosition.copy(this.owner.sceneObject.position);
+            this.owner.sceneObject.quaternion.slerpQuaternions(
+                this.previousQuaternion,
+                this.currentQuaternion,
+                alpha,
+            );
+            this.renderedQuaternion.copy(this.owner.sceneObject.quaternion);
         }
     }
 }
@@ -8,7 +8,9 @@ import { inputHandler } from '../core/InputHandler.js';
 import PhysicsComponent from './PhysicsComponent.js';
 
 /**
- * Listens to the InputHandler and translates pressed keys into a movement direction.
+ * Listens to the InputHandler and translates the movement actions, or the analog stick
+ * (gamepad or touch joystick), into a movement direction and a heading, and the run
+ * action into the running speed.
  * It then commands the PhysicsComponent of the same entity to apply the force.
  */
 export default class PlayerInputComponent extends BaseComponent {
@@ -18,35 +20,57 @@ export default class PlayerInputComponent extends BaseComponent {
         this.rotation = 0;
     }
 
+    /**
+     * Releases the movement it was commanding, so the player does not keep walking while input is off.
+     */
+    onDisable() {
+        this.moveDirection.x = 0;
+        this.moveDirection.z = 0;
+        const physicsComponent = this.owner.getComponent(PhysicsComponent);
+        if (physicsComponent) {
+            physicsComponent.setMovementDirection(0, 0);
+            physicsComponent.setRunning(false);
+        }
+    }
+
     update(deltaTime) {
         this.moveDirection.x = 0;
         this.moveDirection.z = 0;
 
-        // In an isometric environment, 'w' moves up-left on screen, 's' moves down-right.
-        if (inputHandler.isKeyDown('w')) {
-            this.moveDirection.z -= 1;
-            this.rotation = 180;
-        }
-        if (inputHandler.isKeyDown('s')) {
-            this.moveDirection.z += 1;
-            this.rotation = 0;
-        }
-        if (inputHandler.isKeyDown('a')) {
-            this.moveDirection.x -= 1;
-            this.rotation = -90;
+        // In an isometric environment, moving forward goes up-left on screen, backward goes down-right.
+        if (inputHandler.isActionDown('moveForward')) this.moveDirection.z -= 1;
+        if (inputHandler.isActionDown('moveBackward')) this.moveDirection.z += 1;
+        if (inputHandler.isActionDown('moveLeft')) this.moveDirection.x -= 1;
+        if (inputHandler.isActionDown('moveRight')) this.moveDirection.x += 1;
+
+        // Without keyboard movement, use the gamepad stick or touch joystick. Its magnitude sets
+        // the speed, and it can point in any direction rather than only the eight keyboard ones.
+        if (this.moveDirection.x === 0 && this.moveDirection.z === 0) {
+            const stick = inputHandler.getMovementStick();
+            this.moveDirection.x = stick.x;
+            this.moveDirection.z = stick.y;
         }
-        if (inputHandler.isKeyDown('d')) {
-            this.moveDirection.x += 1;
-            this.rotation = 90;
+
+        const isMoving = this.moveDirection.x !== 0 || this.moveDirection.z !== 0;
+        if (isMoving) {
+            // Face the movement direction; 0 degrees faces +Z
+            this.rotation = (Math.atan2(this.moveDirection.x, this.moveDirection.z) * 180) / Math.PI;
         }
 
         const physicsComponent = this.owner.getComponent(PhysicsComponent);
         if (physicsComponent) {
+            if (inputHandler.wasActionJustPressed('jump')) {
+                physicsComponent.jump();
+            }
+            physicsComponent.setRunning(inputHandler.isActionDown('run'));
             physicsComponent.setMovementDirection(
                 this.moveDirection.x,
                 this.moveDirection.z,
             );
-            physicsComponent.setMovementRotation(this.rotation);
+            // Only turn while moving, so a facing set elsewhere (e.g. click-to-move) is kept
+            if (isMoving) {
+                physicsComponent.setMovementRotation(this.rotation);
+            }
         }
     }
 }
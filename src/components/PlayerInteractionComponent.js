@@ -5,6 +5,7 @@
 
 import { Object3D } from 'three';
 import BaseComponent from './BaseComponent.js';
+import { inputHandler } from '../core/InputHandler.js';
 
 /**
  * Handles detecting and triggering interactions with nearby objects.
@@ -22,20 +23,22 @@ export default class PlayerInteractionComponent extends BaseComponent {
         this.interactionRadius = 2; // How close the player needs to be to interact
         this.closestInteractable = null;
 
-        // Properties for 'F' key hold detection
-        this.isFKeyPressed = false;
-        this.fKeyPressStartTime = 0;
-        this.fKeyHoldThreshold = 500; // milliseconds to consider a 'hold'
-
-        this.onKeyDown = this.onKeyDown.bind(this);
-        this.onKeyUp = this.onKeyUp.bind(this);
+        // Only a release following a press seen by this component triggers an interaction
+        this.isInteractPressed = false;
+        this.interactHoldThreshold = 500; // milliseconds to consider a 'hold'
+    }
 
-        window.addEventListener('keydown', this.onKeyDown);
-        window.addEventListener('keyup', this.onKeyUp);
+    /**
+     * Forgets the nearby object and any press in progress, so a release after re-enabling does not interact.
+     */
+    onDisable() {
+        this.closestInteractable = null;
+        this.isInteractPressed = false;
     }
 
     /**
-     * Finds the closest interactable object within the interaction radius.
+     * Finds the closest interactable object within the interaction radius,
+     * then checks the 'interact' action for presses and releases.
      * @param {number} deltaTime - The time elapsed since the last frame.
      */
     update(deltaTime) {
@@ -53,75 +56,89 @@ export default class PlayerInteractionComponent extends BaseComponent {
                 }
             }
         }
+
+        if (!this.isInputFocused()) return;
+        if (inputHandler.wasActionJustPressed('interact')) {
+            this.onInteractPressed();
+        }
+        if (inputHandler.wasActionJustReleased('interact') && this.isInteractPressed) {
+            this.onInteractReleased(inputHandler.getActionHoldDuration('interact'));
+        }
     }
 
     /**
-     * Handles the keydown event for interaction.
-     * @param {KeyboardEvent} event
+     * Whether the state that owns this entity is on top of the state stack.
+     * Input is ignored while an overlay (e.g. a pause menu) covers it.
+     * @returns {boolean}
      */
-    onKeyDown(event) {
-        if (event.key.toLowerCase() === 'f' && !this.isFKeyPressed) {
-            this.isFKeyPressed = true;
-            this.fKeyPressStartTime = performance.now();
-            console.log('PlayerInteractionComponent: F key pressed.');
-        }
+    isInputFocused() {
+        const activeState = this.owner.game.stateManager.activeState;
+        return !!activeState && activeState.scene === this.owner.scene;
     }
 
     /**
-     * Handles the keyup event for interaction, triggering different actions based on hold duration.
-     * @param {KeyboardEvent} event
+     * Called when the 'interact' action starts being held.
      */
-    onKeyUp(event) {
-        if (event.key.toLowerCase() === 'f') {
-            this.isFKeyPressed = false;
-            console.log('PlayerInteractionComponent: F key released.');
-
-            if (!this.closestInteractable) {
-                console.log('PlayerInteractionComponent: No interactable object nearby.');
-                return;
-            }
-
-            if (!this.interactionManager) {
-                console.error("InteractionManager not provided to PlayerInteractionComponent.");
-                return;
-            }
-
-            const holdDuration = performance.now() - this.fKeyPressStartTime;
-            const { interactionId, interactionData } = this.closestInteractable.userData;
-
-            console.log(`PlayerInteractionComponent: Hold duration: ${holdDuration}ms.`);
-            console.log(`PlayerInteractionComponent: Closest interactable - ID: ${interactionId}, Data:`, interactionData);
+    onInteractPressed() {
+        this.isInteractPressed = true;
+        console.log('PlayerInteractionComponent: Interact pressed.');
+    }
 
-            // If the interaction is to change the world, always execute it regardless of tap/hold
-            if (interactionId === 'changeWorld' && interactionData && interactionData.targetState) {
-                console.log(`PlayerInteractionComponent: Arcade Machine interaction detected. Changing world to ${interactionData.targetState}.`);
-                this.interactionManager.execute(interactionId, interactionData);
-                return; // Exit after handling changeWorld
-            }
+    /**
+     * Called when the 'interact' action is released, triggering different actions based on hold duration.
+     * @param {number} holdDuration - How long the action was held, in milliseconds.
+     */
+    onInteractReleased(holdDuration) {
+        this.isInteractPressed = false;
+        console.log('PlayerInteractionComponent: Interact released.');
 
-            if (holdDuration >= this.fKeyHoldThreshold) {
-                console.log('PlayerInteractionComponent: F key held. Triggering showAnimationSelection.');
-                // 'F' was held, trigger animation selection
-                this.interactionManager.execute('showAnimationSelection', {
-                    target: this.closestInteractable,
-                    allAnimationData: this.owner.game.loader.getAnimationData(this.closestInteractable.userData.model)
-                });
-            } else {
-                console.log('PlayerInteractionComponent: F key tapped. Triggering default interaction.');
-                // 'F' was tapped, trigger default interaction (e.g., toggleAnimation)
-                this.interactionManager.execute(interactionId, {
-                    ...interactionData,
-                    target: this.closestInteractable,
-                });
-            }
+        if (!this.closestInteractable) {
+            console.log('PlayerInteractionComponent: No interactable object nearby.');
+            return;
         }
+
+        this.interactWith(this.closestInteractable, holdDuration);
     }
 
     /**
-     * Cleans up the event listeners when the component is destroyed.
+     * Triggers the interaction of an object: a tap runs its `interactionId`,
+     * a hold opens the animation selection.
+     * Also used by the ClickToMoveComponent once the player reaches a clicked object.
+     * @param {Object3D} target - The interactable object.
+     * @param {number} [holdDuration=0] - How long the interact input was held, in milliseconds.
      */
-    destroy() {
-        window.removeEventListener('keydown', this.onKeyDown);
-        window.removeEventListener('keyup', this.onKeyUp);
+    interactWith(target, holdDuration = 0) {
+        if (!this.interactionManager) {
+            console.error("InteractionManager not provided to PlayerInteractionComponent.");
+            return;
+        }
+
+        const { interactionId, interactionData } = target.userData;
+
+        console.log(`PlayerInteractionComponent: Hold duration: ${holdDuration}ms.`);
+        console.log(`PlayerInteractionComponent: Target interactable - ID: ${interactionId}, Data:`, interactionData);
+
+        // If the interaction is to change the world, always execute it regardless of tap/hold
+        if (interactionId === 'changeWorld' && interactionData && interactionData.targetState) {
+            console.log(`PlayerInteractionComponent: Arcade Machine interaction detected. Changing world to ${interactionData.targetState}.`);
+            this.interactionManager.execute(interactionId, interactionData);
+            return; // Exit after handling changeWorld
+        }
+
+        if (holdDuration >= this.interactHoldThreshold) {
+            console.log('PlayerInteractionComponent: Interact held. Triggering showAnimationSelection.');
+            // Interact was held, trigger animation selection
+            this.interactionManager.execute('showAnimationSelection', {
+                target,
+                allAnimationData: this.owner.game.loader.getAnimationData(target.userData.model)
+            });
+        } else {
+            console.log('PlayerInteractionComponent: Interact tapped. Triggering default interaction.');
+            // Interact was tapped, trigger default interaction (e.g., toggleAnimation)
+            this.interactionManager.execute(interactionId, {
+                ...interactionData,
+                target,
+            });
+        }
     }
 }
@@ -4,50 +4,71 @@
  */
 
 import BaseComponent from './BaseComponent.js';
-import { eventBus } from '../core/EventBus.js';
-import RenderComponent from './RenderComponent.js';
+import { eventBus, Events } from '../core/EventBus.js';
 
 /**
  * Makes an entity function as a portal to another state (world).
- * It checks for proximity to a target entity (usually the player) and fires
- * a 'change-state' event if a collision occurs.
+ * The entity needs a TriggerComponent: when a tagged entity (usually the player)
+ * enters the trigger, the portal fires a 'change-state' event. A disabled portal stays closed.
  */
 export default class PortalComponent extends BaseComponent {
     /**
      * @param {import('../entities/Entity.js').default} owner - The entity to which this component belongs.
-     * @param {string} targetStateName - The name of the state this portal leads to.
-     * @param {import('../entities/Entity.js').default} targetEntity - The entity that can activate the portal (the player).
-     * @param {number} [triggerRadius=1.5] - The distance at which to activate the portal.
+     * @param {object} destination - Where the portal leads.
+     * @param {string} destination.targetState - The name of the state this portal leads to.
+     * @param {string} [destination.targetWorld] - The world to load, for states that load world files (CustomWorld).
+     * @param {string} [destination.spawnPoint] - The name of the spawn point to arrive at.
      */
-    constructor(owner, targetStateName, targetEntity, triggerRadius = 1.5) {
+    constructor(owner, { targetState, targetWorld, spawnPoint }) {
         super(owner);
-        this.targetStateName = targetStateName;
-        this.targetEntity = targetEntity;
-        this.triggerRadius = triggerRadius;
-        this.cooldown = 0;
+        this.targetStateName = targetState;
+        this.targetWorld = targetWorld;
+        this.spawnPoint = spawnPoint;
+        /**
+         * Removes the TRIGGER_ENTER listener while the component is attached.
+         * @type {Function | null}
+         */
+        this.unsubscribeTrigger = null;
     }
 
-    update(deltaTime) {
-        if (this.cooldown > 0) {
-            this.cooldown -= deltaTime;
-            return;
-        }
+    /**
+     * Listens for the owner's trigger while attached, so a removed portal stays closed
+     * even if the owner keeps its TriggerComponent.
+     */
+    onAttach() {
+        this.unsubscribeTrigger = eventBus.scope(this.owner).on(Events.TRIGGER_ENTER, ({ trigger }) => {
+            if (trigger !== this.owner || !this.enabled) return;
+            this.activate();
+        });
+    }
 
-        const renderSelf = this.owner.getComponent(RenderComponent);
-        const renderTarget = this.targetEntity.getComponent(RenderComponent);
+    /**
+     * Stops listening for the owner's trigger.
+     */
+    onDetach() {
+        if (this.unsubscribeTrigger) {
+            this.unsubscribeTrigger();
+            this.unsubscribeTrigger = null;
+        }
+    }
 
-        if (renderSelf && renderTarget) {
-            const distance = renderSelf.mesh.position.distanceTo(
-                renderTarget.mesh.position,
-            );
+    /**
+     * Stops listening for the owner's trigger, also when the owner is destroyed without detaching it.
+     */
+    destroy() {
+        this.onDetach();
+    }
 
-            if (distance < this.triggerRadius) {
-                console.log(
-                    `Portal activated! Changing to state: ${this.targetStateName}`,
-                );
-                eventBus.emit('change-state', this.targetStateName);
-                this.cooldown = 2; // Add a 2-second cooldown to prevent immediate re-triggering
-            }
-        }
+    /**
+     * Requests the transition to the destination.
+     */
+    activate() {
+        console.log(
+            `Portal activated! Changing to state: ${this.targetStateName}`,
+        );
+        const params = {};
+        if (this.targetWorld) params.worldName = this.targetWorld;
+        if (this.spawnPoint) params.spawnPoint = this.spawnPoint;
+        eventBus.emit(Events.CHANGE_STATE, { name: this.targetStateName, params });
     }
 }
@@ -0,0 +1,146 @@
+/**
+ * @file Defines a component that turns an entity into a trigger volume.
+ * @module components/TriggerComponent
+ */
+
+import { Vector3 } from 'three';
+import BaseComponent from './BaseComponent.js';
+import { eventBus, Events } from '../core/EventBus.js';
+
+/**
+ * An invisible sphere or box around its owner that reports the tagged entities of the
+ * same EntityWorld entering, staying in and leaving it, as `Events.TRIGGER_ENTER`,
+ * `Events.TRIGGER_STAY` (every step while inside, if `emitStay` is set) and `Events.TRIGGER_EXIT` on the EventBus.
+ * An entity is inside when its position (e.g. the player's feet) is.
+ * Behaviours such as portals, pressure plates or music zones listen to these events
+ * instead of checking distances themselves.
+ */
+export default class TriggerComponent extends BaseComponent {
+    /**
+     * @param {import('../entities/Entity.js').default} owner - The entity that owns this component.
+     * @param {object} [options]
+     * @param {'sphere'|'box'} [options.shape='sphere'] - The shape of the volume.
+     * @param {number} [options.radius=1] - The sphere radius.
+     * @param {{x: number, y: number, z: number}} [options.size={x: 1, y: 1, z: 1}] - The box size, in the owner's local space.
+     * @param {{x: number, y: number, z: number}} [options.offset={x: 0, y: 0, z: 0}] - The volume center, relative to the owner.
+     * @param {string[]} [options.tags=['player']] - Only entities with one of these tags are detected.
+     * @param {string} [options.name] - Identifies the trigger in events, e.g. `'music-zone'`.
+     * @param {object} [options.data] - Extra data passed along with the events, e.g. the track a music zone plays.
+     * @param {boolean} [options.emitStay=false] - Whether to emit TRIGGER_STAY every step for every occupant.
+     *   Off by default, since it would fill the EventBus history within seconds.
+     */
+    constructor(owner, {
+        shape = 'sphere',
+        radius = 1,
+        size = { x: 1, y: 1, z: 1 },
+        offset = { x: 0, y: 0, z: 0 },
+        tags = ['player'],
+        name,
+        data,
+        emitStay = false,
+    } = {}) {
+        super(owner);
+        this.shape = shape;
+        this.radius = radius;
+        /** @type {Vector3} */
+        this.size = new Vector3(size.x, size.y, size.z);
+        /** @type {Vector3} */
+        this.offset = new Vector3(offset.x, offset.y, offset.z);
+        /** @type {string[]} */
+        this.tags = tags;
+        /** @type {string | undefined} */
+        this.name = name;
+        /** @type {object | undefined} */
+        this.data = data;
+        /** @type {boolean} */
+        this.emitStay = emitStay;
+        /**
+         * The entities currently inside the volume.
+         * @type {Set<import('../entities/Entity.js').default>}
+         */
+        this.occupants = new Set();
+        /**
+         * Reused for the position of the tested entity.
+         * @private
+         * @type {Vector3}
+         */
+        this.point = new Vector3();
+    }
+
+    /**
+     * Finds the tagged entities inside the volume and emits the events for the changes since the last step.
+     * @param {number} deltaTime - The fixed, time-scaled step duration in seconds.
+     */
+    update(deltaTime) {
+        const inside = new Set();
+        if (this.owner.world) {
+            for (const tag of this.tags) {
+                for (const entity of this.owner.world.query({ tags: [tag] })) {
+                    if (entity === this.owner || inside.has(entity)) continue;
+                    if (this.containsPoint(entity.sceneObject.getWorldPosition(this.point))) {
+                        inside.add(entity);
+                    }
+                }
+            }
+        }
+
+        for (const entity of this.occupants) {
+            if (!inside.has(entity)) {
+                this.occupants.delete(entity);
+                eventBus.emit(Events.TRIGGER_EXIT, this.createPayload(entity));
+            }
+        }
+        for (const entity of inside) {
+            if (!this.occupants.has(entity)) {
+                this.occupants.add(entity);
+                eventBus.emit(Events.TRIGGER_ENTER, this.createPayload(entity));
+            } else if (this.emitStay) {
+                eventBus.emit(Events.TRIGGER_STAY, this.createPayload(entity));
+            }
+        }
+    }
+
+    /**
+     * Checks if a point lies inside the volume.
+     * @param {Vector3} point - The point in world space. Modified in place.
+     * @returns {boolean}
+     */
+    containsPoint(point) {
+        const local = this.owner.sceneObject.worldToLocal(point).sub(this.offset);
+        if (this.shape === 'box') {
+            return Math.abs(local.x) <= this.size.x / 2
+                && Math.abs(local.y) <= this.size.y / 2
+                && Math.abs(local.z) <= this.size.z / 2;
+        }
+        // The radius is in world units, whatever the owner's scale
+        const scale = this.owner.sceneObject.getWorldScale(new Vector3());
+        local.multiply(scale);
+        return local.lengthSq() <= this.radius * this.radius;
+    }
+
+    /**
+     * Reports every occupant as leaving, since a disabled trigger detects nothing.
+     */
+    onDisable() {
+        for (const entity of this.occupants) {
+            eventBus.emit(Events.TRIGGER_EXIT, this.createPayload(entity));
+        }
+        this.occupants.clear();
+    }
+
+    /**
+     * Forgets the occupants without emitting exit events, since the trigger itself is gone.
+     */
+    destroy() {
+        this.occupants.clear();
+    }
+
+    /**
+     * @private
+     * @param {import('../entities/Entity.js').default} entity - The entity the event is about.
+     * @returns {{trigger: import('../entities/Entity.js').default, entity: import('../entities/Entity.js').default, name?: string, data?: object}}
+     */
+    createPayload(entity) {
+        return { trigger: this.owner, entity, name: this.name, data: this.data };
+    }
+}
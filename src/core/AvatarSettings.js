@@ -0,0 +1,118 @@
+/**
+ * @file Keeps track of the player's chosen character model and accessories.
+ * @module core/AvatarSettings
+ */
+
+/**
+ * Local storage key under which the avatar is persisted.
+ * @type {string}
+ */
+const AVATAR_STORAGE_KEY = 'player_avatar';
+
+/**
+ * The character used until the player picks one, or when the saved one no longer exists.
+ * @type {string}
+ */
+export const DEFAULT_CHARACTER = 'character-female-a';
+
+/**
+ * The player's avatar: a character model from the "characters" category of animations.json
+ * and accessories from the "aids" category of properties.json, attached to the character's bones.
+ * Changes are persisted to local storage. Chosen in the CharacterSelectState and read by
+ * playable world states when they create the player.
+ */
+class AvatarSettings {
+    constructor() {
+        const stored = this.loadAvatar();
+        /**
+         * The name of the character model, e.g. `'character-male-b'`.
+         * @type {string}
+         */
+        this.character = stored.character;
+        /**
+         * The names of the worn accessories, e.g. `['aid-glasses']`.
+         * @type {string[]}
+         */
+        this.accessories = stored.accessories;
+    }
+
+    /**
+     * Changes the character model.
+     * @param {string} name - The name of the character model.
+     */
+    setCharacter(name) {
+        this.character = name;
+        this.saveAvatar();
+    }
+
+    /**
+     * Puts an accessory on or takes it off.
+     * @param {string} name - The name of the accessory model.
+     * @param {boolean} worn - Whether the accessory is worn.
+     */
+    setAccessory(name, worn) {
+        const isWorn = this.accessories.includes(name);
+        if (worn === isWorn) return;
+        this.accessories = worn
+            ? [...this.accessories, name]
+            : this.accessories.filter((accessory) => accessory !== name);
+        this.saveAvatar();
+    }
+
+    /**
+     * Returns the animation data of the chosen character, falling back to the default
+     * character if it is not defined in the loaded animations.json.
+     * @param {import('../loaders/ObjectLoader.js').default} loader - A loader with the animation data loaded.
+     * @returns {object | undefined}
+     */
+    getAnimationData(loader) {
+        const animationData = loader.getAnimationData(this.character);
+        if (animationData) {
+            return animationData;
+        }
+        console.warn(`AvatarSettings: Unknown character "${this.character}", using "${DEFAULT_CHARACTER}".`);
+        return loader.getAnimationData(DEFAULT_CHARACTER);
+    }
+
+    /**
+     * Reads the avatar from local storage, falling back to the default character without accessories.
+     * @private
+     * @returns {{character: string, accessories: string[]}}
+     */
+    loadAvatar() {
+        const avatar = { character: DEFAULT_CHARACTER, accessories: [] };
+        try {
+            const stored = JSON.parse(localStorage.getItem(AVATAR_STORAGE_KEY) || '{}');
+            if (typeof stored.character === 'string') {
+                avatar.character = stored.character;
+            }
+            if (Array.isArray(stored.accessories)) {
+                avatar.accessories = stored.accessories.filter((name) => typeof name === 'string');
+            }
+        } catch (e) {
+            console.error('Could not parse the avatar from local storage.', e);
+        }
+        return avatar;
+    }
+
+    /**
+     * Persists the avatar to local storage.
+     * @private
+     */
+    saveAvatar() {
+        try {
+            localStorage.setItem(AVATAR_STORAGE_KEY, JSON.stringify({
+                character: this.character,
+                accessories: this.accessories,
+            }));
+        } catch (e) {
+            console.error('Failed to save the avatar to local storage:', e);
+        }
+    }
+}
+
+/**
+ * The singleton instance of the AvatarSettings.
+ * @type {AvatarSettings}
+ */
+export const avatarSettings = new AvatarSettings();
@@ -0,0 +1,259 @@
+/**
+ * @file Broadphase and collision resolution for the colliders of one scene.
+ * @module core/CollisionWorld
+ */
+
+import { Raycaster } from 'three';
+
+/**
+ * Size of a spatial hash bucket, in world units.
+ * @type {number}
+ */
+const HASH_CELL_SIZE = 2;
+
+/**
+ * How many times overlapping colliders are pushed apart per move.
+ * @type {number}
+ */
+const RESOLVE_ITERATIONS = 3;
+
+/**
+ * Height of the fallback ground in scenes without ground colliders (their floor plane).
+ * @type {number}
+ */
+const DEFAULT_GROUND_HEIGHT = 0;
+
+/**
+ * One CollisionWorld exists per Three.js scene, created on demand by `forScene`.
+ * @type {WeakMap<import('three').Scene, CollisionWorld>}
+ */
+const worldsByScene = new WeakMap();
+
+/**
+ * Holds the static colliders of a scene in a spatial hash and resolves the movement
+ * of dynamic (circle) colliders against them. Collision is solved on the XZ plane,
+ * with a vertical overlap test so entities can jump onto or pass below objects.
+ * Solid colliders block movement; ground colliders (floor tiles) mark where an
+ * entity may stand, so it cannot walk off the edge of the floor.
+ */
+export default class CollisionWorld {
+    constructor() {
+        /**
+         * Solid static colliders, bucketed by the hash cells their bounds overlap.
+         * @type {Map<string, Set<import('../components/ColliderComponent.js').default>>}
+         */
+        this.buckets = new Map();
+        /**
+         * Ground colliders, bucketed the same way.
+         * @type {Map<string, Set<import('../components/ColliderComponent.js').default>>}
+         */
+        this.groundBuckets = new Map();
+        /** @type {number} The number of ground colliders. Without any, the ground is unbounded. */
+        this.groundCount = 0;
+        /** @type {Raycaster} Reused for ground detection. */
+        this.raycaster = new Raycaster();
+        this.raycaster.ray.direction.set(0, -1, 0);
+    }
+
+    /**
+     * Returns the CollisionWorld of a scene, creating it on first use.
+     * @param {import('three').Scene} scene - The scene.
+     * @returns {CollisionWorld}
+     */
+    static forScene(scene) {
+        let world = worldsByScene.get(scene);
+        if (!world) {
+            world = new CollisionWorld();
+            worldsByScene.set(scene, world);
+        }
+        return world;
+    }
+
+    /**
+     * Adds a static collider.
+     * @param {import('../components/ColliderComponent.js').default} collider - The collider, with computed bounds.
+     */
+    add(collider) {
+        const buckets = collider.isGround ? this.groundBuckets : this.buckets;
+        this.forEachBucketKey(collider.bounds, (key) => {
+            if (!buckets.has(key)) buckets.set(key, new Set());
+            buckets.get(key).add(collider);
+        });
+        if (collider.isGround) this.groundCount++;
+    }
+
+    /**
+     * Removes a static collider.
+     * @param {import('../components/ColliderComponent.js').default} collider - The collider to remove.
+     */
+    remove(collider) {
+        const buckets = collider.isGround ? this.groundBuckets : this.buckets;
+        let removed = false;
+        this.forEachBucketKey(collider.bounds, (key) => {
+            const bucket = buckets.get(key);
+            if (bucket && bucket.delete(collider)) {
+                removed = true;
+                if (bucket.size === 0) buckets.delete(key);
+            }
+        });
+        if (removed && collider.isGround) this.groundCount--;
+    }
+
+    /**
+     * Returns the static colliders whose buckets overlap an area (the broadphase).
+     * @param {number} minX
+     * @param {number} minZ
+     * @param {number} maxX
+     * @param {number} maxZ
+     * @param {boolean} [ground=false] - Whether to query ground instead of solid colliders.
+     * @returns {Set<import('../components/ColliderComponent.js').default>}
+     */
+    query(minX, minZ, maxX, maxZ, ground = false) {
+        const buckets = ground ? this.groundBuckets : this.buckets;
+        const result = new Set();
+        this.forEachBucketKey({ min: { x: minX, z: minZ }, max: { x: maxX, z: maxZ } }, (key) => {
+            const bucket = buckets.get(key);
+            if (bucket) bucket.forEach((collider) => result.add(collider));
+        });
+        return result;
+    }
+
+    /**
+     * Moves a circle collider from one position to another, pushing it out of solid
+     * colliders so it slides along them, and keeping its center over the ground.
+     * @param {import('../components/ColliderComponent.js').default} collider - The moving circle collider.
+     * @param {import('three').Vector3} from - The position before the move.
+     * @param {import('three').Vector3} to - The desired position; updated in place with the resolved position.
+     * @returns {import('three').Vector3} The resolved position (`to`).
+     */
+    resolveMovement(collider, from, to) {
+        const { radius } = collider;
+        const minY = to.y + collider.offsetY;
+        const maxY = minY + collider.height;
+        // Anything lower than this is a step to walk onto rather than an obstacle
+        const stepTop = minY + collider.stepHeight;
+
+        for (let i = 0; i < RESOLVE_ITERATIONS; i++) {
+            const candidates = this.query(to.x - radius, to.z - radius, to.x + radius, to.z + radius);
+            let pushed = false;
+            for (const other of candidates) {
+                if (other === collider || other.bounds.max.y <= stepTop || other.bounds.min.y >= maxY) continue;
+                if (this.pushOutOfBox(to, radius, other.bounds)) pushed = true;
+            }
+            if (!pushed) break;
+        }
+
+        if (!this.isOverGround(to.x, to.z)) {
+            // Slide along the floor edge by keeping whichever axis stays on the ground
+            if (this.isOverGround(to.x, from.z)) {
+                to.z = from.z;
+            } else if (this.isOverGround(from.x, to.z)) {
+                to.x = from.x;
+            } else {
+                to.x = from.x;
+                to.z = from.z;
+            }
+        }
+        return to;
+    }
+
+    /**
+     * Finds the height of the surface below a point by casting a ray down from it
+     * against ground colliders (floor tiles, ramps, platforms) and the tops of solid ones.
+     * Scenes without ground colliders have a flat ground at height 0.
+     * @param {number} x
+     * @param {number} z
+     * @param {number} fromY - The height the ray starts at; surfaces above it are ignored.
+     * @returns {number | null} The surface height, or null if there is nothing below.
+     */
+    getGroundHeight(x, z, fromY) {
+        const isBelowPoint = (other) => {
+            const { min, max } = other.bounds;
+            return x >= min.x && x <= max.x && z >= min.z && z <= max.z && min.y <= fromY;
+        };
+        const objects = [
+            ...[...this.query(x, z, x, z, true)].filter(isBelowPoint),
+            // Solid colliders are only stood on when entirely below the ray origin
+            ...[...this.query(x, z, x, z)].filter((other) => isBelowPoint(other) && other.bounds.max.y <= fromY),
+        ].map((other) => other.owner.sceneObject);
+
+        this.raycaster.ray.origin.set(x, fromY, z);
+        const hit = this.raycaster.intersectObjects(objects, true)[0];
+        if (hit) {
+            return hit.point.y;
+        }
+        if (this.groundCount === 0 && fromY >= DEFAULT_GROUND_HEIGHT) {
+            return DEFAULT_GROUND_HEIGHT;
+        }
+        return null;
+    }
+
+    /**
+     * Checks if a point is above a ground collider. Always true in scenes without any.
+     * @param {number} x
+     * @param {number} z
+     * @returns {boolean}
+     */
+    isOverGround(x, z) {
+        if (this.groundCount === 0) return true;
+        for (const ground of this.query(x, z, x, z, true)) {
+            const { min, max } = ground.bounds;
+            if (x >= min.x && x <= max.x && z >= min.z && z <= max.z) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Pushes a circle out of a box on the XZ plane, along the shortest direction.
+     * @private
+     * @param {import('three').Vector3} center - The circle center, updated in place.
+     * @param {number} radius - The circle radius.
+     * @param {import('three').Box3} box - The box bounds.
+     * @returns {boolean} Whether the circle overlapped the box.
+     */
+    pushOutOfBox(center, radius, box) {
+        const closestX = Math.max(box.min.x, Math.min(center.x, box.max.x));
+        const closestZ = Math.max(box.min.z, Math.min(center.z, box.max.z));
+        const dx = center.x - closestX;
+        const dz = center.z - closestZ;
+        const distanceSq = dx * dx + dz * dz;
+
+        if (distanceSq >= radius * radius) return false;
+
+        if (distanceSq > 0) {
+            const distance = Math.sqrt(distanceSq);
+            const push = radius - distance;
+            center.x += (dx / distance) * push;
+            center.z += (dz / distance) * push;
+        } else {
+            // The center is inside the box: leave through the nearest side
+            const exits = [
+                { axis: 'x', value: box.min.x - radius, distance: center.x - box.min.x },
+                { axis: 'x', value: box.max.x + radius, distance: box.max.x - center.x },
+                { axis: 'z', value: box.min.z - radius, distance: center.z - box.min.z },
+                { axis: 'z', value: box.max.z + radius, distance: box.max.z - center.z },
+            ];
+            const nearest = exits.reduce((a, b) => (b.distance < a.distance ? b : a));
+            center[nearest.axis] = nearest.value;
+        }
+        return true;
+    }
+
+    /**
+     * Calls a function with the key of every hash bucket overlapping some bounds.
+     * @private
+     * @param {{min: {x: number, z: number}, max: {x: number, z: number}}} bounds
+     * @param {function(string): void} callback
+     */
+    forEachBucketKey(bounds, callback) {
+        const minX = Math.floor(bounds.min.x / HASH_CELL_SIZE);
+        const maxX = Math.floor(bounds.max.x / HASH_CELL_SIZE);
+        const minZ = Math.floor(bounds.min.z / HASH_CELL_SIZE);
+        const maxZ = Math.floor(bounds.max.z / HASH_CELL_SIZE);
+        for (let x = minX; x <= maxX; x++) {
+            for (let z = minZ; z <= maxZ; z++) {
+                callback(`${x},${z}`);
+            }
+        }
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * @file Registry of the entities of one scene, queryable by component type and tag.
+ * @module core/EntityWorld
+ */
+
+import BaseComponent from '../components/BaseComponent.js';
+
+/**
+ * One EntityWorld exists per Three.js scene, created on demand by `forScene`.
+ * @type {WeakMap<import('three').Scene, EntityWorld>}
+ */
+const worldsByScene = new WeakMap();
+
+/**
+ * Returned for component types and tags that no entity has.
+ * @type {Set<import('../entities/Entity.js').default>}
+ */
+const EMPTY_SET = new Set();
+
+/**
+ * Holds the entities of a scene with an index by ID, per component type and per tag, so
+ * systems can find e.g. every entity with an AnimationComponent and the 'npc' tag
+ * without scanning every entity. Entities register themselves when they are created
+ * and unregister when destroyed; the indices are updated as components and tags are
+ * added or removed. A component is indexed under its class and every parent class
+ * up to BaseComponent, so queries match subclasses like `getComponent` does.
+ */
+export default class EntityWorld {
+    constructor() {
+        /**
+         * Every registered entity, in registration order.
+         * @type {Set<import('../entities/Entity.js').default>}
+         */
+        this.entities = new Set();
+        /**
+         * The registered entities without a parent entity, in registration order. States update
+         * these, and each entity updates its children.
+         * @type {Set<import('../entities/Entity.js').default>}
+         */
+        this.roots = new Set();
+        /**
+         * The registered entities by their `id`.
+         * @type {Map<string, import('../entities/Entity.js').default>}
+         */
+        this.entitiesById = new Map();
+        /**
+         * The entities having at least one component of each component class.
+         * @type {Map<Function, Set<import('../entities/Entity.js').default>>}
+         */
+        this.componentIndex = new Map();
+        /**
+         * The entities having each tag.
+         * @type {Map<string, Set<import('../entities/Entity.js').default>>}
+         */
+        this.tagIndex = new Map();
+    }
+
+    /**
+     * Returns the EntityWorld of a scene, creating it on first use.
+     * @param {import('three').Scene} scene - The scene.
+     * @returns {EntityWorld}
+     */
+    static forScene(scene) {
+        let world = worldsByScene.get(scene);
+        if (!world) {
+            world = new EntityWorld();
+            worldsByScene.set(scene, world);
+        }
+        return world;
+    }
+
+    /**
+     * Registers an entity with its current components and tags.
+     * @param {import('../entities/Entity.js').default} entity - The entity.
+     */
+    add(entity) {
+        if (this.entities.has(entity)) return;
+        this.entities.add(entity);
+        if (!entity.parent) this.roots.add(entity);
+        if (this.entitiesById.has(entity.id)) {
+            console.warn(`EntityWorld: Duplicate entity ID "${entity.id}", getById returns the newer entity.`);
+        }
+        this.entitiesById.set(entity.id, entity);
+        entity.components.forEach((component) => this.onComponentAdded(entity, component));
+        entity.tags.forEach((tag) => this.onTagAdded(entity, tag));
+    }
+
+    /**
+     * Unregisters an entity and removes it from every index.
+     * @param {import('../entities/Entity.js').default} entity - The entity.
+     */
+    remove(entity) {
+        if (!this.entities.delete(entity)) return;
+        this.roots.delete(entity);
+        if (this.entitiesById.get(entity.id) === entity) this.entitiesById.delete(entity.id);
+        for (const [componentClass, entities] of this.componentIndex) {
+            if (entities.delete(entity) && entities.size === 0) this.componentIndex.delete(componentClass);
+        }
+        for (const [tag, entities] of this.tagIndex) {
+            if (entities.delete(entity) && entities.size === 0) this.tagIndex.delete(tag);
+        }
+    }
+
+    /**
+     * Returns the registered entity with an ID, or null.
+     * @param {string} id - The entity ID.
+     * @returns {import('../entities/Entity.js').default | null}
+     */
+    getById(id) {
+        return this.entitiesById.get(id) || null;
+    }
+
+    /**
+     * Returns the entities that have a component of every given class and every given tag.
+     * Without criteria, returns every entity.
+     * @param {object} [criteria]
+     * @param {Function[]} [criteria.components=[]] - Component classes, e.g. `[AnimationComponent]`.
+     * @param {string[]} [criteria.tags=[]] - Tags, e.g. `['npc']`.
+     * @returns {import('../entities/Entity.js').default[]} The matching entities, in no particular order.
+     * @example
+     * world.query({ components: [AnimationComponent], tags: ['npc'] });
+     */
+    query({ components = [], tags = [] } = {}) {
+        const sets = [
+            ...components.map((componentClass) => this.componentIndex.get(componentClass) || EMPTY_SET),
+            ...tags.map((tag) => this.tagIndex.get(tag) || EMPTY_SET),
+        ];
+        if (sets.length === 0) return [...this.entities];
+
+        // Walk the smallest index and check the others
+        sets.sort((a, b) => a.size - b.size);
+        const [smallest, ...others] = sets;
+        const result = [];
+        for (const entity of smallest) {
+            if (others.every((set) => set.has(entity))) result.push(entity);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the first entity matching a query, or null.
+     * @param {object} [criteria] - See `query`.
+     * @returns {import('../entities/Entity.js').default | null}
+     */
+    queryFirst(criteria) {
+        return this.query(criteria)[0] || null;
+    }
+
+    /**
+     * Called by an entity when a component is added to it.
+     * @param {import('../entities/Entity.js').default} entity - The entity.
+     * @param {BaseComponent} component - The added component.
+     */
+    onComponentAdded(entity, component) {
+        if (!this.entities.has(entity)) return;
+        this.forEachComponentClass(component, (componentClass) => {
+            if (!this.componentIndex.has(componentClass)) this.componentIndex.set(componentClass, new Set());
+            this.componentIndex.get(componentClass).add(entity);
+        });
+    }
+
+    /**
+     * Called by an entity when a component is removed from it. The entity stays indexed
+     * under the classes of its remaining components.
+     * @param {import('../entities/Entity.js').default} entity - The entity, without the component.
+     * @param {BaseComponent} component - The removed component.
+     */
+    onComponentRemoved(entity, component) {
+        if (!this.entities.has(entity)) return;
+        this.forEachComponentClass(component, (componentClass) => {
+            if (entity.components.some((c) => c instanceof componentClass)) return;
+            const entities = this.componentIndex.get(componentClass);
+            if (entities && entities.delete(entity) && entities.size === 0) {
+                this.componentIndex.delete(componentClass);
+            }
+        });
+    }
+
+    /**
+     * Called by an entity when it is attached to or detached from a parent entity.
+     * @param {import('../entities/Entity.js').default} entity - The entity.
+     */
+    onParentChanged(entity) {
+        if (!this.entities.has(entity)) return;
+        if (entity.parent) {
+            this.roots.delete(entity);
+        } else {
+            this.roots.add(entity);
+        }
+    }
+
+    /**
+     * Called by an entity when a tag is added to it.
+     * @param {import('../entities/Entity.js').default} entity - The entity.
+     * @param {string} tag - The added tag.
+     */
+    onTagAdded(entity, tag) {
+        if (!this.entities.has(entity)) return;
+        if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+        this.tagIndex.get(tag).add(entity);
+    }
+
+    /**
+     * Called by an entity when a tag is removed from it.
+     * @param {import('../entities/Entity.js').default} entity - The entity.
+     * @param {string} tag - The removed tag.
+     */
+    onTagRemoved(entity, tag) {
+        const entities = this.tagIndex.get(tag);
+        if (entities && entities.delete(entity) && entities.size === 0) {
+            this.tagIndex.delete(tag);
+        }
+    }
+
+    /**
+     * Calls a function with the class of a component and each of its parent classes below BaseComponent.
+     * @private
+     * @param {BaseComponent} component - The component.
+     * @param {(componentClass: Function) => void} callback
+     */
+    forEachComponentClass(component, callback) {
+        let prototype = Object.getPrototypeOf(component);
+        while (prototype && prototype !== BaseComponent.prototype && prototype !== Object.prototype) {
+            callback(prototype.constructor);
+            prototype = Object.getPrototypeOf(prototype);
+        }
+    }
+}
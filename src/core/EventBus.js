@@ -3,54 +3,123 @@
  * @module core/EventBus
  */
 
+import EventEmitter from '../utils/EventEmitter.js';
+import { Events, EventSchemas, validatePayload } from './Events.js';
+
+/**
+ * Maximum number of emitted events kept in the history ring buffer.
+ * @type {number}
+ */
+const HISTORY_SIZE = 200;
+
+/**
+ * @typedef {object} EventRecord
+ * @property {number} id - A sequential identifier.
+ * @property {string} name - The event name.
+ * @property {Array<*>} args - The arguments the event was emitted with.
+ * @property {number} timestamp - `performance.now()` at emission time, in milliseconds.
+ */
+
 /**
  * A singleton publish/subscribe system for decoupled communication.
  * This prevents components and systems from needing direct references to each other.
+ * It shares its implementation (`on`, `once`, `off`, wildcard listeners) with EventEmitter,
+ * and additionally records recent events and validates payloads in development builds.
+ * @extends EventEmitter
  */
-class EventBus {
+class EventBus extends EventEmitter {
     constructor() {
         if (EventBus.instance) {
             return EventBus.instance;
         }
-        this.events = {};
+        super();
+        /**
+         * Ring buffer of the most recent events.
+         * @type {EventRecord[]}
+         */
+        this.history = [];
+        /**
+         * Index in `history` where the next record is written once the buffer is full.
+         * @type {number}
+         */
+        this.historyHead = 0;
+        /** @type {number} */
+        this.nextRecordId = 1;
         EventBus.instance = this;
     }
 
     /**
-     * Subscribes to an event.
-     * @param {string} eventName - The name of the event.
-     * @param {Function} listener - The callback function to execute.
+     * Dispatches (emits) an event. In development builds, unknown event names and
+     * payloads that do not match the catalogue in core/Events are reported.
+     * @param {string} eventName - The name of the event, preferably from `Events`.
+     * @param {...*} args - The data to pass to the listeners.
      */
-    on(eventName, listener) {
-        if (!this.events[eventName]) {
-            this.events[eventName] = [];
+    emit(eventName, ...args) {
+        if (import.meta.env.DEV) {
+            this.validate(eventName, args[0]);
         }
-        this.events[eventName].push(listener);
+        this.record(eventName, args);
+        super.emit(eventName, ...args);
+    }
+
+    /**
+     * Re-emits a recorded event with its original arguments.
+     * @param {EventRecord} record - The record to replay, from `getHistory()`.
+     */
+    replay(record) {
+        this.emit(record.name, ...record.args);
     }
 
     /**
-     * Dispatches (emits) an event.
-     * @param {string} eventName - The name of the event.
-     * @param {*} data - The data to pass to the listeners.
+     * Returns the recorded events, oldest first.
+     * @returns {EventRecord[]}
      */
-    emit(eventName, data) {
-        if (this.events[eventName]) {
-            this.events[eventName].forEach((listener) => listener(data));
+    getHistory() {
+        return [
+            ...this.history.slice(this.historyHead),
+            ...this.history.slice(0, this.historyHead),
+        ];
+    }
+
+    /**
+     * Empties the event history.
+     */
+    clearHistory() {
+        this.history = [];
+        this.historyHead = 0;
+    }
+
+    /**
+     * Adds an event to the history ring buffer.
+     * @private
+     * @param {string} eventName - The event name.
+     * @param {Array<*>} args - The event arguments.
+     */
+    record(eventName, args) {
+        const record = { id: this.nextRecordId++, name: eventName, args, timestamp: performance.now() };
+        if (this.history.length < HISTORY_SIZE) {
+            this.history.push(record);
+        } else {
+            this.history[this.historyHead] = record;
+            this.historyHead = (this.historyHead + 1) % HISTORY_SIZE;
         }
     }
 
     /**
-     * Unsubscribes from an event.
-     * @param {string} eventName - The name of the event.
-     * @param {Function} listenerToRemove - The specific callback to remove.
+     * Warns about events missing from the catalogue or with an invalid payload.
+     * @private
+     * @param {string} eventName - The event name.
+     * @param {*} payload - The first event argument.
      */
-    off(eventName, listenerToRemove) {
-        if (!this.events[eventName]) {
+    validate(eventName, payload) {
+        if (!(eventName in EventSchemas)) {
+            console.warn(`EventBus: '${eventName}' is not declared in core/Events.js.`);
             return;
         }
-        this.events[eventName] = this.events[eventName].filter(
-            (listener) => listener !== listenerToRemove,
-        );
+        const errors = validatePayload(EventSchemas[eventName], payload);
+        if (errors.length > 0) {
+            console.warn(`EventBus: Invalid payload for '${eventName}': ${errors.join('; ')}`, payload);
+        }
     }
 }
 
@@ -59,3 +128,5 @@ class EventBus {
  * @type {EventBus}
  */
 export const eventBus = new EventBus();
+
+export { Events };
@@ -0,0 +1,213 @@
+/**
+ * @file In-game debug panel listing recent EventBus events.
+ * @module core/EventInspector
+ */
+
+import { eventBus } from './EventBus.js';
+
+/**
+ * Maximum number of characters of a payload shown in a row.
+ * @type {number}
+ */
+const PAYLOAD_PREVIEW_LENGTH = 120;
+
+/**
+ * A toggleable panel that shows the EventBus history, newest first.
+ * Events can be filtered by name or payload text and replayed with their original arguments.
+ */
+export default class EventInspector {
+    constructor() {
+        /** @type {HTMLDivElement | null} The root panel element. */
+        this.panel = null;
+        /** @type {HTMLDivElement | null} The element holding the event rows. */
+        this.list = null;
+        /** @type {string} The current filter text, lower-cased. */
+        this.filter = '';
+        /** @type {Function | null} Removes the wildcard listener while the panel is open. */
+        this.unsubscribe = null;
+        /** @type {number | null} The pending animation frame request of `scheduleRender`. */
+        this.renderFrame = null;
+
+        this.render = this.render.bind(this);
+        this.scheduleRender = this.scheduleRender.bind(this);
+    }
+
+    /**
+     * Whether the panel is currently shown.
+     * @type {boolean}
+     */
+    get isOpen() {
+        return this.panel !== null;
+    }
+
+    /**
+     * Shows the panel if hidden, hides it otherwise.
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Creates the panel and starts listening to every event.
+     */
+    open() {
+        if (this.isOpen) return;
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'event-inspector';
+        Object.assign(this.panel.style, {
+            position: 'absolute',
+            bottom: '10px',
+            right: '10px',
+            width: '440px',
+            maxHeight: '50%',
+            display: 'flex',
+            flexDirection: 'column',
+            backgroundColor: 'rgba(0, 0, 0, 0.85)',
+            color: 'white',
+            borderRadius: '5px',
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            zIndex: '2500',
+        });
+
+        const header = document.createElement('div');
+        Object.assign(header.style, { display: 'flex', gap: '6px', padding: '8px', alignItems: 'center' });
+
+        const title = document.createElement('b');
+        title.textContent = 'Events';
+        header.appendChild(title);
+
+        const filterInput = document.createElement('input');
+        filterInput.type = 'text';
+        filterInput.placeholder = 'Filter by name or payload...';
+        filterInput.value = this.filter;
+        filterInput.style.flex = '1';
+        filterInput.addEventListener('input', (e) => {
+            this.filter = e.target.value.toLowerCase();
+            this.render();
+        });
+        // Keep typing in the filter from reaching the game's key listeners
+        filterInput.addEventListener('keydown', (e) => e.stopPropagation());
+        header.appendChild(filterInput);
+
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear';
+        clearButton.onclick = () => {
+            eventBus.clearHistory();
+            this.render();
+        };
+        header.appendChild(clearButton);
+
+        this.panel.appendChild(header);
+
+        this.list = document.createElement('div');
+        Object.assign(this.list.style, { overflowY: 'auto', padding: '0 8px 8px 8px' });
+        this.panel.appendChild(this.list);
+
+        document.body.appendChild(this.panel);
+        this.unsubscribe = eventBus.on('*', this.scheduleRender);
+        this.render();
+    }
+
+    /**
+     * Removes the panel and its listener.
+     */
+    close() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.renderFrame !== null) {
+            cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+        if (this.panel && this.panel.parentNode) {
+            this.panel.parentNode.removeChild(this.panel);
+        }
+        this.panel = null;
+        this.list = null;
+    }
+
+    /**
+     * Renders the list on the next animation frame, once however many events are emitted
+     * until then (e.g. several TRIGGER_STAY events per frame).
+     */
+    scheduleRender() {
+        if (this.renderFrame !== null) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Rebuilds the list of events from the EventBus history.
+     */
+    render() {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        const records = eventBus.getHistory().reverse();
+        for (const record of records) {
+            const payload = this.describeArgs(record.args);
+            if (this.filter && !record.name.toLowerCase().includes(this.filter) && !payload.toLowerCase().includes(this.filter)) {
+                continue;
+            }
+
+            const row = document.createElement('div');
+            Object.assign(row.style, {
+                display: 'flex',
+                gap: '6px',
+                alignItems: 'baseline',
+                padding: '3px 0',
+                borderBottom: '1px solid #333',
+            });
+
+            const time = document.createElement('span');
+            time.textContent = (record.timestamp / 1000).toFixed(2);
+            time.style.color = '#9e9e9e';
+            row.appendChild(time);
+
+            const name = document.createElement('span');
+            name.textContent = record.name;
+            name.style.color = '#61dafb';
+            row.appendChild(name);
+
+            const details = document.createElement('span');
+            details.textContent = payload.length > PAYLOAD_PREVIEW_LENGTH
+                ? `${payload.slice(0, PAYLOAD_PREVIEW_LENGTH)}...`
+                : payload;
+            details.title = payload;
+            Object.assign(details.style, { flex: '1', overflow: 'hidden', wordBreak: 'break-all' });
+            row.appendChild(details);
+
+            const replayButton = document.createElement('button');
+            replayButton.textContent = 'Replay';
+            replayButton.onclick = () => eventBus.replay(record);
+            row.appendChild(replayButton);
+
+            this.list.appendChild(row);
+        }
+    }
+
+    /**
+     * Converts event arguments into readable text, tolerating circular references
+     * (e.g. Three.js objects) by falling back to their type name.
+     * @param {Array<*>} args - The event arguments.
+     * @returns {string}
+     */
+    describeArgs(args) {
+        return args.map((arg) => {
+            try {
+                return JSON.stringify(arg) ?? String(arg);
+            } catch (error) {
+                return `[${arg && arg.constructor ? arg.constructor.name : typeof arg}]`;
+            }
+        }).join(', ');
+    }
+}
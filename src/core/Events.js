@@ -0,0 +1,87 @@
+/**
+ * @file Central catalogue of the EventBus event names and their payload schemas.
+ * @module core/Events
+ */
+
+/**
+ * The names of all events emitted on the EventBus.
+ * Always reference events through this object instead of string literals.
+ * @readonly
+ * @enum {string}
+ */
+export const Events = Object.freeze({
+    /** Requests a state transition. Payload: the state name, or `{ name, params }`. */
+    CHANGE_STATE: 'change-state',
+    /** Reports ObjectLoader progress. Payload: `{ url, loaded, total }`. */
+    LOADING_PROGRESS: 'loading-progress',
+    /** The global time scale changed. Payload: the new scale. */
+    TIME_SCALE_CHANGED: 'time-scale-changed',
+    /** A gamepad became the active gamepad. Payload: `{ index, id }`. */
+    GAMEPAD_CONNECTED: 'gamepad-connected',
+    /** The active gamepad was unplugged. Payload: `{ index, id }`. */
+    GAMEPAD_DISCONNECTED: 'gamepad-disconnected',
+    /** A tagged entity entered a TriggerComponent's volume. Payload: `{ trigger, entity, name, data }`. */
+    TRIGGER_ENTER: 'trigger-enter',
+    /** A tagged entity is still inside a trigger volume; emitted every step by triggers with `emitStay`. Payload: as TRIGGER_ENTER. */
+    TRIGGER_STAY: 'trigger-stay',
+    /** A tagged entity left a trigger volume, or was removed while inside. Payload: as TRIGGER_ENTER. */
+    TRIGGER_EXIT: 'trigger-exit',
+});
+
+/**
+ * Payload of the trigger events: the trigger entity, the entity that entered, stayed or left,
+ * and the trigger's optional name and data.
+ * @type {object}
+ */
+const TRIGGER_SCHEMA = { trigger: 'object', entity: 'object', name: 'string?', data: 'object?' };
+
+/**
+ * Payload schemas, validated in development builds when an event is emitted.
+ * A schema is either a type name (`'string'`, `'number'`, `'boolean'`, `'object'`, `'any'`),
+ * an object mapping field names to schemas, or an array of alternative schemas.
+ * A type name ending in `?` marks an optional field.
+ * @type {Object.<string, *>}
+ */
+export const EventSchemas = Object.freeze({
+    [Events.CHANGE_STATE]: ['string', { name: 'string', params: 'object?' }],
+    [Events.LOADING_PROGRESS]: { url: 'string', loaded: 'number', total: 'number' },
+    [Events.TIME_SCALE_CHANGED]: 'number',
+    [Events.GAMEPAD_CONNECTED]: { index: 'number', id: 'string' },
+    [Events.GAMEPAD_DISCONNECTED]: { index: 'number', id: 'string' },
+    [Events.TRIGGER_ENTER]: TRIGGER_SCHEMA,
+    [Events.TRIGGER_STAY]: TRIGGER_SCHEMA,
+    [Events.TRIGGER_EXIT]: TRIGGER_SCHEMA,
+});
+
+/**
+ * Validates a value against a schema.
+ * @param {*} schema - The schema to validate against.
+ * @param {*} value - The value to validate.
+ * @param {string} [path='payload'] - The path of the value, used in error messages.
+ * @returns {string[]} A list of validation errors, empty if the value is valid.
+ */
+export function validatePayload(schema, value, path = 'payload') {
+    if (Array.isArray(schema)) {
+        const results = schema.map((alternative) => validatePayload(alternative, value, path));
+        return results.some((errors) => errors.length === 0) ? [] : results.flat();
+    }
+
+    if (typeof schema === 'string') {
+        const optional = schema.endsWith('?');
+        const type = optional ? schema.slice(0, -1) : schema;
+        if (value === undefined || value === null) {
+            return optional || type === 'any' ? [] : [`${path} is required`];
+        }
+        if (type === 'any' || typeof value === type) {
+            return [];
+        }
+        return [`${path} should be ${type} but is ${typeof value}`];
+    }
+
+    if (typeof value !== 'object' || value === null) {
+        return [`${path} should be an object`];
+    }
+    return Object.keys(schema).flatMap((key) =>
+        validatePayload(schema[key], value[key], `${path}.${key}`),
+    );
+}
@@ -5,12 +5,14 @@
 
 import { Clock, WebGLRenderer } from 'three';
 import StateManager from './StateManager.js';
+import { eventBus, Events } from './EventBus.js';
+import { inputHandler } from './InputHandler.js';
 
 /**
  * The main class that orchestrates the entire game.
  * It is responsible for:
  * - Initializing the Three.js renderer.
- * - Running the main game loop (requestAnimationFrame).
+ * - Running the main game loop (requestAnimationFrame) with a fixed simulation timestep.
  * - Housing the StateManager instance.
  */
 export default class Game {
@@ -19,6 +21,32 @@ export default class Game {
         this.renderer = new WebGLRenderer({ antialias: true });
         /** @type {Clock} */
         this.clock = new Clock();
+        /**
+         * The duration of one simulation step, in seconds.
+         * @type {number}
+         */
+        this.fixedTimeStep = 1 / 60;
+        /**
+         * The largest frame delta fed into the simulation, in seconds. Prevents a long
+         * pause (e.g. a tab switch) from producing a huge step.
+         * @type {number}
+         */
+        this.maxDeltaTime = 0.25;
+        /**
+         * The maximum number of simulation steps run in a single frame.
+         * @type {number}
+         */
+        this.maxStepsPerFrame = 10;
+        /**
+         * Scaled time not yet consumed by a simulation step, in seconds.
+         * @type {number}
+         */
+        this.accumulator = 0;
+        /**
+         * The global time scale: 0 pauses, values below 1 slow down, above 1 speed up.
+         * @type {number}
+         */
+        this.timeScale = 1;
         /** @type {StateManager} */
         this.stateManager = new StateManager(this);
 
@@ -39,19 +67,63 @@ export default class Game {
         document.body.appendChild(this.renderer.domElement);
     }
 
+    /**
+     * Sets the global time scale applied to every simulation step.
+     * At 0 no simulation step runs; overlay states keep being updated once per frame instead.
+     * @param {number} scale - 0 to pause, 1 for normal speed. Clamped to [0, 4].
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, Math.min(4, scale));
+        eventBus.emit(Events.TIME_SCALE_CHANGED, this.timeScale);
+    }
+
     /**
      * The main game loop.
+     * The simulation advances in fixed steps of `fixedTimeStep` seconds, while rendering
+     * happens once per frame with entity transforms interpolated between the last two steps.
+     * While the time scale is 0, overlay states are updated once per frame with the real frame duration.
      * @private
      */
     animate() {
-        const deltaTime = this.clock.getDelta();
+        const frameDelta = Math.min(this.clock.getDelta(), this.maxDeltaTime);
+        this.accumulator += frameDelta * this.timeScale;
 
-        this.stateManager.update(deltaTime);
+        if (this.timeScale === 0) {
+            // The world is frozen, but overlays (e.g. the pause menu) keep running, and input
+            // edges are cleared every frame so a press is not left pending until time resumes
+            inputHandler.poll();
+            this.stateManager.updateOverlays(frameDelta);
+            inputHandler.update();
+        }
 
-        const activeState = this.stateManager.currentState;
-        if (activeState && activeState.scene && activeState.camera) {
-            this.renderer.render(activeState.scene, activeState.camera);
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+            inputHandler.poll();
+            this.stateManager.update(this.fixedTimeStep);
+            // Reset input edges per step rather than per frame, so a press is seen by
+            // exactly one step even when a frame runs zero or several of them
+            inputHandler.update();
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
         }
+        if (steps === this.maxStepsPerFrame) {
+            // Too far behind: drop the remaining time instead of spiralling
+            this.accumulator = 0;
+        }
+
+        this.stateManager.interpolate(this.accumulator / this.fixedTimeStep);
+
+        // Render the state stack from bottom to top. Overlays only clear the depth
+        // buffer so the states below them stay visible.
+        const renderableStates = this.stateManager.getRenderableStates();
+        renderableStates.forEach((state, index) => {
+            this.renderer.autoClear = index === 0;
+            if (index > 0) {
+                this.renderer.clearDepth();
+            }
+            this.renderer.render(state.scene, state.camera);
+        });
+        this.renderer.autoClear = true;
 
         requestAnimationFrame(this.animate.bind(this));
     }
@@ -61,21 +133,21 @@ export default class Game {
      * @private
      */
     onWindowResize() {
-        const activeState = this.stateManager.currentState;
-        if (activeState && activeState.camera) {
+        for (const state of this.stateManager.getStateStack()) {
+            if (!state.camera) continue;
             // Handle both camera types
-            if (activeState.camera.isPerspectiveCamera) {
-                activeState.camera.aspect =
+            if (state.camera.isPerspectiveCamera) {
+                state.camera.aspect =
                     window.innerWidth / window.innerHeight;
-            } else if (activeState.camera.isOrthographicCamera) {
+            } else if (state.camera.isOrthographicCamera) {
                 const aspect = window.innerWidth / window.innerHeight;
                 const d = 7; // Match the value in HubWorldState
-                activeState.camera.left = -d * aspect;
-                activeState.camera.right = d * aspect;
-                activeState.camera.top = d;
-                activeState.camera.bottom = -d;
+                state.camera.left = -d * aspect;
+                state.camera.right = d * aspect;
+                state.camera.top = d;
+                state.camera.bottom = -d;
             }
-            activeState.camera.updateProjectionMatrix();
+            state.camera.updateProjectionMatrix();
         }
         this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
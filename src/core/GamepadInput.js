@@ -0,0 +1,247 @@
+/**
+ * @file Polls the Gamepad API and keeps a queryable state for the active gamepad.
+ * @module core/GamepadInput
+ */
+
+import { eventBus, Events } from './EventBus.js';
+
+/**
+ * Local storage key under which the stick dead zone is persisted.
+ * @type {string}
+ */
+const DEAD_ZONE_STORAGE_KEY = 'input_gamepad_dead_zone';
+
+/**
+ * The default radial dead zone of the analog sticks, as a fraction of full deflection.
+ * @type {number}
+ */
+export const DEFAULT_DEAD_ZONE = 0.15;
+
+/**
+ * Button indices of the "standard" gamepad mapping used by the default bindings.
+ * @see https://w3c.github.io/gamepad/#remapping
+ * @readonly
+ * @enum {number}
+ */
+export const GamepadButtons = Object.freeze({
+    A: 0, // Cross on PlayStation controllers
+    B: 1, // Circle
+    X: 2, // Square
+    Y: 3, // Triangle
+    START: 9,
+});
+
+/**
+ * Tracks the first connected gamepad. Browsers only expose gamepad state by polling,
+ * so `poll()` must be called once per simulation step, before the game reads input.
+ * `navigator.getGamepads` is looked up on every poll, so it can be replaced by a mock.
+ * Owned by the InputHandler, which merges it with keyboard input.
+ */
+export default class GamepadInput {
+    constructor() {
+        /**
+         * `Gamepad.index` of the gamepad in use, or null when none is connected.
+         * @type {number | null}
+         */
+        this.activeIndex = null;
+        /** @type {string} `Gamepad.id` of the gamepad in use. */
+        this.activeId = '';
+        /**
+         * Buttons currently held, by standard mapping index.
+         * @type {Object.<number, boolean>}
+         */
+        this.buttons = {};
+        /**
+         * `performance.now()` at which each held button was pressed.
+         * @type {Object.<number, number>}
+         */
+        this.buttonPressTimes = {};
+        /**
+         * How long each button released since the last update was held, in milliseconds.
+         * @type {Object.<number, number>}
+         */
+        this.releasedButtonDurations = {};
+        /** @type {Set<number>} Buttons pressed since the last update. */
+        this.buttonsPressedThisFrame = new Set();
+        /** @type {Set<number>} Buttons released since the last update. */
+        this.buttonsReleasedThisFrame = new Set();
+        /**
+         * The left stick after the dead zone is applied, each axis in [-1, 1] (+y down).
+         * @type {{x: number, y: number}}
+         */
+        this.leftStick = { x: 0, y: 0 };
+        /** @type {number} */
+        this.deadZone = this.loadDeadZone();
+
+        window.addEventListener('gamepadconnected', (e) => this.onConnected(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.onDisconnected(e.gamepad));
+    }
+
+    /**
+     * Whether a gamepad is in use.
+     * @type {boolean}
+     */
+    get isConnected() {
+        return this.activeIndex !== null;
+    }
+
+    /**
+     * Reads the current state of the active gamepad and records button edges.
+     * Also picks up gamepads connected before the page had focus, for which some
+     * browsers never fire 'gamepadconnected'.
+     */
+    poll() {
+        const gamepads = typeof navigator.getGamepads === 'function' ? navigator.getGamepads() : [];
+        let gamepad = this.activeIndex !== null ? gamepads[this.activeIndex] : null;
+
+        if (!gamepad || !gamepad.connected) {
+            if (this.activeIndex !== null) {
+                this.onDisconnected({ index: this.activeIndex, id: this.activeId });
+            }
+            gamepad = Array.from(gamepads).find((pad) => pad && pad.connected);
+            if (!gamepad) return;
+            this.onConnected(gamepad);
+        }
+
+        const now = performance.now();
+        gamepad.buttons.forEach((button, index) => {
+            const isDown = button.pressed;
+            if (isDown && !this.buttons[index]) {
+                this.buttonPressTimes[index] = now;
+                this.buttonsPressedThisFrame.add(index);
+            } else if (!isDown && this.buttons[index]) {
+                this.releasedButtonDurations[index] = now - this.buttonPressTimes[index];
+                delete this.buttonPressTimes[index];
+                this.buttonsReleasedThisFrame.add(index);
+            }
+            this.buttons[index] = isDown;
+        });
+
+        const stick = this.applyDeadZone(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+        this.leftStick.x = stick.x;
+        this.leftStick.y = stick.y;
+    }
+
+    /**
+     * Clears the per-frame state. Called by the InputHandler after each simulation step.
+     */
+    update() {
+        this.buttonsPressedThisFrame.clear();
+        this.buttonsReleasedThisFrame.clear();
+        this.releasedButtonDurations = {};
+    }
+
+    /**
+     * Applies a radial dead zone and rescales the remaining range to [0, 1],
+     * so movement starts smoothly at the edge of the dead zone.
+     * @param {number} x - The raw horizontal axis value.
+     * @param {number} y - The raw vertical axis value.
+     * @returns {{x: number, y: number}}
+     */
+    applyDeadZone(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude <= this.deadZone) {
+            return { x: 0, y: 0 };
+        }
+        const scaled = Math.min(1, (magnitude - this.deadZone) / (1 - this.deadZone));
+        return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+    }
+
+    /**
+     * Sets the stick dead zone and persists it.
+     * @param {number} deadZone - Fraction of full deflection ignored, clamped to [0, 0.9].
+     */
+    setDeadZone(deadZone) {
+        this.deadZone = Math.max(0, Math.min(0.9, deadZone));
+        try {
+            localStorage.setItem(DEAD_ZONE_STORAGE_KEY, String(this.deadZone));
+        } catch (e) {
+            console.error('Failed to save gamepad dead zone to local storage:', e);
+        }
+    }
+
+    /**
+     * Checks if a button is currently held.
+     * @param {number} button - The standard mapping button index.
+     * @returns {boolean}
+     */
+    isButtonDown(button) {
+        return this.buttons[button] || false;
+    }
+
+    /**
+     * Checks if a button was pressed since the last update.
+     * @param {number} button - The standard mapping button index.
+     * @returns {boolean}
+     */
+    wasButtonJustPressed(button) {
+        return this.buttonsPressedThisFrame.has(button);
+    }
+
+    /**
+     * Checks if a button was released since the last update.
+     * @param {number} button - The standard mapping button index.
+     * @returns {boolean}
+     */
+    wasButtonJustReleased(button) {
+        return this.buttonsReleasedThisFrame.has(button);
+    }
+
+    /**
+     * Returns how long a button has been held, or for how long it was held if it
+     * was released since the last update, in milliseconds.
+     * @param {number} button - The standard mapping button index.
+     * @returns {number}
+     */
+    getButtonHoldDuration(button) {
+        if (this.buttons[button]) {
+            return performance.now() - this.buttonPressTimes[button];
+        }
+        return this.releasedButtonDurations[button] || 0;
+    }
+
+    /**
+     * @private
+     * @param {Gamepad} gamepad - The gamepad that was connected.
+     */
+    onConnected(gamepad) {
+        if (this.activeIndex !== null) return; // Keep using the first gamepad
+        this.activeIndex = gamepad.index;
+        this.activeId = gamepad.id;
+        console.log(`GamepadInput: Gamepad connected: ${gamepad.id}`);
+        eventBus.emit(Events.GAMEPAD_CONNECTED, { index: gamepad.index, id: gamepad.id });
+    }
+
+    /**
+     * Releases every held button so nothing stays stuck after the gamepad is unplugged.
+     * @private
+     * @param {{index: number, id: string}} gamepad - The gamepad that was disconnected.
+     */
+    onDisconnected(gamepad) {
+        if (gamepad.index !== this.activeIndex) return;
+        const now = performance.now();
+        for (const index in this.buttons) {
+            if (this.buttons[index]) {
+                this.releasedButtonDurations[index] = now - this.buttonPressTimes[index];
+                this.buttonsReleasedThisFrame.add(Number(index));
+            }
+        }
+        this.buttons = {};
+        this.buttonPressTimes = {};
+        this.leftStick.x = 0;
+        this.leftStick.y = 0;
+        this.activeIndex = null;
+        this.activeId = '';
+        console.log(`GamepadInput: Gamepad disconnected: ${gamepad.id}`);
+        eventBus.emit(Events.GAMEPAD_DISCONNECTED, { index: gamepad.index, id: gamepad.id });
+    }
+
+    /**
+     * @private
+     * @returns {number} The persisted dead zone, or the default.
+     */
+    loadDeadZone() {
+        const stored = parseFloat(localStorage.getItem(DEAD_ZONE_STORAGE_KEY));
+        return Number.isFinite(stored) ? stored : DEFAULT_DEAD_ZONE;
+    }
+}
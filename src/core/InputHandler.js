@@ -3,9 +3,87 @@
  * @module core/InputHandler
  */
 
+import GamepadInput, { GamepadButtons } from './GamepadInput.js';
+import TouchControls from './TouchControls.js';
+
+/**
+ * Local storage key under which custom key bindings are persisted.
+ * @type {string}
+ */
+const BINDINGS_STORAGE_KEY = 'input_bindings';
+
+/**
+ * The default keys bound to each named action.
+ * A binding is a lower-cased `KeyboardEvent.key`, optionally prefixed with
+ * modifiers (`ctrl+`, `shift+`, `alt+`), e.g. `'w'`, `'arrowup'` or `'ctrl+e'`.
+ * @type {Object.<string, string[]>}
+ */
+export const DEFAULT_BINDINGS = Object.freeze({
+    moveForward: ['w', 'arrowup'],
+    moveBackward: ['s', 'arrowdown'],
+    moveLeft: ['a', 'arrowleft'],
+    moveRight: ['d', 'arrowright'],
+    run: ['shift'],
+    interact: ['f'],
+    jump: [' '],
+    pause: ['escape'],
+    openEditor: ['ctrl+e'],
+});
+
+/**
+ * The gamepad buttons (standard mapping indices) bound to each action.
+ * Movement is read from the left stick instead.
+ * @type {Object.<string, number[]>}
+ */
+export const GAMEPAD_BINDINGS = Object.freeze({
+    run: [GamepadButtons.X],
+    interact: [GamepadButtons.A],
+    jump: [GamepadButtons.B],
+});
+
+/**
+ * Human-readable names of the actions, used by the controls settings panel.
+ * @type {Object.<string, string>}
+ */
+export const ACTION_LABELS = Object.freeze({
+    moveForward: 'Move Forward',
+    moveBackward: 'Move Backward',
+    moveLeft: 'Move Left',
+    moveRight: 'Move Right',
+    run: 'Run',
+    interact: 'Interact',
+    jump: 'Jump',
+    pause: 'Pause',
+    openEditor: 'Open Editor',
+});
+
+/**
+ * Maps binding modifier prefixes to the lower-cased key names reported by KeyboardEvent.
+ * @type {Object.<string, string>}
+ */
+const MODIFIER_KEYS = { ctrl: 'control', shift: 'shift', alt: 'alt' };
+
+/**
+ * Splits a binding such as `'ctrl+e'` into its key and required modifiers.
+ * @param {string} binding - The binding string.
+ * @returns {{key: string, modifiers: string[]}}
+ */
+function parseBinding(binding) {
+    const parts = binding.split('+');
+    // A binding of '+' itself (or ending in '+') targets the plus key
+    const key = parts.pop() || '+';
+    return { key, modifiers: parts.filter((part) => part in MODIFIER_KEYS) };
+}
+
 /**
- * A singleton InputHandler that listens to DOM input events (keyboard) and maintains their state.
+ * A singleton InputHandler that listens to DOM input events (keyboard, mouse, on-screen
+ * touch controls), polls the active gamepad, and maintains their state.
  * Other parts of the game can query this state instead of adding their own listeners.
+ * Gameplay code should query named actions (e.g. `isActionDown('interact')`) rather than raw keys,
+ * so players can rebind them.
+ *
+ * Edge queries (`wasKeyJustPressed`, `wasKeyJustReleased`, ...) and the wheel delta cover everything
+ * since the last call to `update()`, which the game loop makes after every simulation step.
  */
 class InputHandler {
     constructor() {
@@ -13,37 +91,430 @@ class InputHandler {
             return InputHandler.instance;
         }
         this.keys = {};
-        this.previousKeys = {};
+        /**
+         * `performance.now()` at which each held key was pressed.
+         * @type {Object.<string, number>}
+         */
+        this.keyPressTimes = {};
+        /**
+         * How long each key released since the last update was held, in milliseconds.
+         * @type {Object.<string, number>}
+         */
+        this.releasedKeyDurations = {};
+        /** @type {Set<string>} Keys pressed since the last update. */
+        this.keysPressedThisFrame = new Set();
+        /** @type {Set<string>} Keys released since the last update. */
+        this.keysReleasedThisFrame = new Set();
 
-        window.addEventListener(
-            'keydown',
-            (e) => (this.keys[e.key.toLowerCase()] = true),
-        );
-        window.addEventListener(
-            'keyup',
-            (e) => (this.keys[e.key.toLowerCase()] = false),
-        );
+        /**
+         * Mouse buttons currently held, by `MouseEvent.button` (0 = left, 1 = middle, 2 = right).
+         * @type {Object.<number, boolean>}
+         */
+        this.mouseButtons = {};
+        /** @type {Set<number>} Mouse buttons pressed since the last update. */
+        this.mouseButtonsPressedThisFrame = new Set();
+        /** @type {Set<number>} Mouse buttons released since the last update. */
+        this.mouseButtonsReleasedThisFrame = new Set();
+        /**
+         * The pointer position in window pixels.
+         * @type {{x: number, y: number}}
+         */
+        this.mousePosition = { x: 0, y: 0 };
+        /**
+         * Vertical wheel movement accumulated since the last update. Positive when scrolling down.
+         * @type {number}
+         */
+        this.wheelDelta = 0;
+
+        /**
+         * Set by the StateManager while updating states that are covered by an overlay,
+         * so that only the top state reacts to input.
+         * @type {boolean}
+         */
+        this.suppressed = false;
+        /**
+         * The keys currently bound to each action.
+         * @type {Object.<string, string[]>}
+         */
+        this.bindings = this.loadBindings();
+        /** @type {GamepadInput} */
+        this.gamepad = new GamepadInput();
+        /** @type {TouchControls} */
+        this.touch = new TouchControls();
+
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+        window.addEventListener('keyup', (e) => this.onKeyUp(e));
+        window.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        window.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        window.addEventListener('mousemove', (e) => {
+            this.mousePosition.x = e.clientX;
+            this.mousePosition.y = e.clientY;
+        });
+        window.addEventListener('wheel', (e) => (this.wheelDelta += e.deltaY), { passive: true });
 
         InputHandler.instance = this;
     }
 
+    /**
+     * Reads the gamepad state. Called by the game loop before each simulation step.
+     */
+    poll() {
+        this.gamepad.poll();
+    }
+
+    /**
+     * Clears the per-frame input state. Called by the game loop after each simulation step.
+     */
+    update() {
+        this.gamepad.update();
+        this.touch.update();
+        this.keysPressedThisFrame.clear();
+        this.keysReleasedThisFrame.clear();
+        this.releasedKeyDurations = {};
+        this.mouseButtonsPressedThisFrame.clear();
+        this.mouseButtonsReleasedThisFrame.clear();
+        this.wheelDelta = 0;
+    }
+
+    /**
+     * @private
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        const key = e.key.toLowerCase();
+        if (this.keys[key]) return; // Ignore auto-repeat
+        this.keys[key] = true;
+        this.keyPressTimes[key] = performance.now();
+        this.keysPressedThisFrame.add(key);
+    }
+
+    /**
+     * @private
+     * @param {KeyboardEvent} e
+     */
+    onKeyUp(e) {
+        const key = e.key.toLowerCase();
+        if (!this.keys[key]) return;
+        this.keys[key] = false;
+        this.releasedKeyDurations[key] = performance.now() - this.keyPressTimes[key];
+        delete this.keyPressTimes[key];
+        this.keysReleasedThisFrame.add(key);
+    }
+
+    /**
+     * @private
+     * @param {MouseEvent} e
+     */
+    onMouseDown(e) {
+        // Clicks on HTML UI (menus, editor panels) are not game input
+        if (!(e.target instanceof HTMLCanvasElement)) return;
+        this.mouseButtons[e.button] = true;
+        this.mouseButtonsPressedThisFrame.add(e.button);
+    }
+
+    /**
+     * @private
+     * @param {MouseEvent} e
+     */
+    onMouseUp(e) {
+        if (!this.mouseButtons[e.button]) return;
+        this.mouseButtons[e.button] = false;
+        this.mouseButtonsReleasedThisFrame.add(e.button);
+    }
+
     /**
      * Checks if a specific key is currently pressed down.
      * @param {string} key - The key to check (e.g., 'w', 'a', ' '). Case-insensitive.
      * @returns {boolean} True if the key is down, false otherwise.
      */
     isKeyDown(key) {
+        if (this.suppressed) return false;
         return this.keys[key.toLowerCase()] || false;
     }
 
     /**
-     * Checks if a specific key was just pressed in the current frame.
+     * Checks if a specific key was pressed since the last update.
      * @param {string} key - The key to check.
      * @returns {boolean} True if the key was just pressed, false otherwise.
      */
     wasKeyJustPressed(key) {
+        if (this.suppressed) return false;
+        return this.keysPressedThisFrame.has(key.toLowerCase());
+    }
+
+    /**
+     * Checks if a specific key was released since the last update.
+     * @param {string} key - The key to check.
+     * @returns {boolean} True if the key was just released, false otherwise.
+     */
+    wasKeyJustReleased(key) {
+        if (this.suppressed) return false;
+        return this.keysReleasedThisFrame.has(key.toLowerCase());
+    }
+
+    /**
+     * Returns how long a key has been held, in milliseconds. For a key released since
+     * the last update, returns the duration of that press, so it can be read alongside
+     * `wasKeyJustReleased`.
+     * @param {string} key - The key to check.
+     * @returns {number} The hold duration, or 0 if the key is not held.
+     */
+    getKeyHoldDuration(key) {
+        if (this.suppressed) return 0;
         const lowerKey = key.toLowerCase();
-        return this.isKeyDown(lowerKey) && !this.previousKeys[lowerKey];
+        if (this.keys[lowerKey]) {
+            return performance.now() - this.keyPressTimes[lowerKey];
+        }
+        return this.releasedKeyDurations[lowerKey] || 0;
+    }
+
+    /**
+     * Checks if a mouse button is currently pressed down.
+     * @param {number} [button=0] - The `MouseEvent.button` value (0 = left, 1 = middle, 2 = right).
+     * @returns {boolean}
+     */
+    isMouseButtonDown(button = 0) {
+        if (this.suppressed) return false;
+        return this.mouseButtons[button] || false;
+    }
+
+    /**
+     * Checks if a mouse button was pressed since the last update.
+     * @param {number} [button=0] - The `MouseEvent.button` value.
+     * @returns {boolean}
+     */
+    wasMouseButtonJustPressed(button = 0) {
+        if (this.suppressed) return false;
+        return this.mouseButtonsPressedThisFrame.has(button);
+    }
+
+    /**
+     * Checks if a mouse button was released since the last update.
+     * @param {number} [button=0] - The `MouseEvent.button` value.
+     * @returns {boolean}
+     */
+    wasMouseButtonJustReleased(button = 0) {
+        if (this.suppressed) return false;
+        return this.mouseButtonsReleasedThisFrame.has(button);
+    }
+
+    /**
+     * Returns the pointer position in normalized device coordinates (-1 to +1 on both axes,
+     * +y up), as expected by `Raycaster.setFromCamera`.
+     * @returns {{x: number, y: number}}
+     */
+    getPointerNDC() {
+        return {
+            x: (this.mousePosition.x / window.innerWidth) * 2 - 1,
+            y: -(this.mousePosition.y / window.innerHeight) * 2 + 1,
+        };
+    }
+
+    /**
+     * Returns the wheel movement accumulated since the last update. Positive when scrolling down.
+     * @returns {number}
+     */
+    getWheelDelta() {
+        if (this.suppressed) return 0;
+        return this.wheelDelta;
+    }
+
+    /**
+     * Returns the analog movement input: the touch joystick while it is dragged, otherwise
+     * the gamepad's left stick after its dead zone is applied.
+     * Each axis is in [-1, 1], with +y pointing down; both are 0 without either device.
+     * @returns {{x: number, y: number}}
+     */
+    getMovementStick() {
+        if (this.suppressed) return { x: 0, y: 0 };
+        const { stick } = this.touch;
+        if (stick.x !== 0 || stick.y !== 0) {
+            return { x: stick.x, y: stick.y };
+        }
+        return { x: this.gamepad.leftStick.x, y: this.gamepad.leftStick.y };
+    }
+
+    /**
+     * Checks if any key (with its modifiers), gamepad button or on-screen button bound to an action
+     * is currently pressed down.
+     * @param {string} action - The action name (e.g., 'moveForward').
+     * @returns {boolean}
+     */
+    isActionDown(action) {
+        return this.getBindings(action).some((binding) => {
+            const { key, modifiers } = parseBinding(binding);
+            return this.isKeyDown(key) && modifiers.every((m) => this.isKeyDown(MODIFIER_KEYS[m]));
+        }) || this.getGamepadBindings(action).some((button) => this.gamepad.isButtonDown(button))
+            || (!this.suppressed && this.touch.isButtonDown(action));
+    }
+
+    /**
+     * Checks if a key bound to an action was pressed since the last update.
+     * @param {string} action - The action name.
+     * @returns {boolean}
+     */
+    wasActionJustPressed(action) {
+        return this.getBindings(action).some((binding) => {
+            const { key, modifiers } = parseBinding(binding);
+            return this.wasKeyJustPressed(key) && modifiers.every((m) => this.isKeyDown(MODIFIER_KEYS[m]));
+        }) || this.getGamepadBindings(action).some((button) => this.gamepad.wasButtonJustPressed(button))
+            || (!this.suppressed && this.touch.wasButtonJustPressed(action));
+    }
+
+    /**
+     * Checks if a key bound to an action was released since the last update.
+     * Modifiers are not checked, since they may be let go first.
+     * @param {string} action - The action name.
+     * @returns {boolean}
+     */
+    wasActionJustReleased(action) {
+        return this.getBindings(action).some((binding) => this.wasKeyJustReleased(parseBinding(binding).key))
+            || this.getGamepadBindings(action).some((button) => this.gamepad.wasButtonJustReleased(button))
+            || (!this.suppressed && this.touch.wasButtonJustReleased(action));
+    }
+
+    /**
+     * Returns the longest hold duration among the keys, gamepad buttons and on-screen buttons
+     * bound to an action, in milliseconds.
+     * @see InputHandler#getKeyHoldDuration
+     * @param {string} action - The action name.
+     * @returns {number}
+     */
+    getActionHoldDuration(action) {
+        return Math.max(
+            0,
+            ...this.getBindings(action).map((binding) => this.getKeyHoldDuration(parseBinding(binding).key)),
+            ...this.getGamepadBindings(action).map((button) => this.gamepad.getButtonHoldDuration(button)),
+            this.suppressed ? 0 : this.touch.getButtonHoldDuration(action),
+        );
+    }
+
+    /**
+     * Returns the gamepad buttons bound to an action, or none while input is suppressed.
+     * @private
+     * @param {string} action - The action name.
+     * @returns {number[]}
+     */
+    getGamepadBindings(action) {
+        if (this.suppressed) return [];
+        return GAMEPAD_BINDINGS[action] || [];
+    }
+
+    /**
+     * Checks whether a DOM keyboard event triggers an action.
+     * For code that reacts to key events directly rather than polling.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @param {string} action - The action name.
+     * @returns {boolean}
+     */
+    matchesAction(event, action) {
+        const eventKey = event.key.toLowerCase();
+        return this.getBindings(action).some((binding) => {
+            const { key, modifiers } = parseBinding(binding);
+            return key === eventKey
+                && (!modifiers.includes('ctrl') || event.ctrlKey)
+                && (!modifiers.includes('shift') || event.shiftKey)
+                && (!modifiers.includes('alt') || event.altKey);
+        });
+    }
+
+    /**
+     * Returns the keys bound to an action.
+     * @param {string} action - The action name.
+     * @returns {string[]}
+     */
+    getBindings(action) {
+        const bindings = this.bindings[action];
+        if (!bindings) {
+            console.warn(`InputHandler: Unknown action "${action}".`);
+            return [];
+        }
+        return bindings;
+    }
+
+    /**
+     * Replaces the keys bound to an action and persists the change.
+     * @param {string} action - The action name.
+     * @param {string[]} bindings - The new bindings (e.g. ['q', 'arrowup']).
+     */
+    rebind(action, bindings) {
+        if (!(action in DEFAULT_BINDINGS)) {
+            console.warn(`InputHandler: Cannot rebind unknown action "${action}".`);
+            return;
+        }
+        this.bindings[action] = bindings.map((binding) => binding.toLowerCase());
+        this.saveBindings();
+    }
+
+    /**
+     * Restores the default bindings and persists them.
+     */
+    resetBindings() {
+        this.bindings = this.cloneDefaultBindings();
+        this.saveBindings();
+    }
+
+    /**
+     * Builds a binding string for a keyboard event, including held modifiers.
+     * Returns null for a lone modifier key press.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @returns {string | null}
+     */
+    bindingFromEvent(event) {
+        const key = event.key.toLowerCase();
+        if (Object.values(MODIFIER_KEYS).includes(key)) {
+            return null;
+        }
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('ctrl');
+        if (event.altKey) modifiers.push('alt');
+        if (event.shiftKey && key.length > 1) modifiers.push('shift');
+        return [...modifiers, key].join('+');
+    }
+
+    /**
+     * Reads custom bindings from local storage, falling back to the defaults
+     * for actions that are missing or invalid.
+     * @private
+     * @returns {Object.<string, string[]>}
+     */
+    loadBindings() {
+        const bindings = this.cloneDefaultBindings();
+        try {
+            const stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY) || '{}');
+            for (const action in stored) {
+                if (action in bindings && Array.isArray(stored[action])) {
+                    bindings[action] = stored[action];
+                }
+            }
+        } catch (e) {
+            console.error('Could not parse key bindings from local storage.', e);
+        }
+        return bindings;
+    }
+
+    /**
+     * Persists the current bindings to local storage.
+     * @private
+     */
+    saveBindings() {
+        try {
+            localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.error('Failed to save key bindings to local storage:', e);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Object.<string, string[]>} A mutable copy of the default bindings.
+     */
+    cloneDefaultBindings() {
+        const bindings = {};
+        for (const action in DEFAULT_BINDINGS) {
+            bindings[action] = [...DEFAULT_BINDINGS[action]];
+        }
+        return bindings;
     }
 }
 
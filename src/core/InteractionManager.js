@@ -4,7 +4,7 @@
  */
 
 import AnimationComponent from '../components/AnimationComponent.js'; // Import AnimationComponent
-import { eventBus } from './EventBus.js'; // Ensure eventBus is imported
+import { eventBus, Events } from './EventBus.js'; // Ensure eventBus is imported
 
 /**
  * A centralized system for registering and executing game interactions.
@@ -46,16 +46,28 @@ export default class InteractionManager {
 
     /**
      * Executes an interaction by its ID.
+     * If the data has a `targetId`, the interaction acts on the entity with that ID instead of
+     * the interacted object, e.g. a lever with `{ "targetId": "<door id>", "animationName": "open" }`
+     * and the `toggleAnimation` interaction opens the door. The ID is looked up in the current state.
      * @param {string} id - The ID of the interaction to execute.
      * @param {object} [data={}] - The data payload from the world JSON to pass to the action.
      */
     execute(id, data = {}) {
         const action = this.interactions.get(id);
-        if (action) {
-            action(data);
-        } else {
+        if (!action) {
             console.error(`No interaction registered with ID "${id}".`);
+            return;
+        }
+        if (data && data.targetId) {
+            const state = this.game.stateManager.currentState;
+            const entity = state ? state.getEntityById(data.targetId) : null;
+            if (!entity) {
+                console.warn(`Interaction "${id}": No entity with ID "${data.targetId}" in the current world.`);
+                return;
+            }
+            data = { ...data, target: entity.sceneObject };
         }
+        action(data);
     }
 
     /**
@@ -123,11 +135,25 @@ export default class InteractionManager {
             }
         });
 
-        // New interaction to change the game state (world)
+        // Interaction to slow down or speed up the whole game.
+        // It cannot pause: with no simulation step, the player could not interact again to undo it.
+        this.register('setTimeScale', (data) => {
+            if (data && typeof data.scale === 'number' && data.scale <= 0) {
+                console.warn("setTimeScale interaction cannot pause the game; use a scale above 0.");
+            } else if (data && typeof data.scale === 'number') {
+                this.game.setTimeScale(data.scale);
+            } else {
+                console.warn("setTimeScale interaction called without a numeric scale.");
+            }
+        });
+
+        // New interaction to change the game state (world).
+        // Any extra fields (e.g. worldName) are forwarded to the target state's enter().
         this.register('changeWorld', (data) => {
             if (data && data.targetState) {
-                console.log(`InteractionManager: Attempting to change state to: ${data.targetState}`);
-                eventBus.emit('change-state', data.targetState);
+                const { targetState, ...params } = data;
+                console.log(`InteractionManager: Attempting to change state to: ${targetState}`);
+                eventBus.emit(Events.CHANGE_STATE, { name: targetState, params });
             } else {
                 console.warn("changeWorld interaction called without a targetState.");
             }
@@ -0,0 +1,137 @@
+/**
+ * @file Full-screen overlay shown while the StateManager transitions between states.
+ * @module core/LoadingScreen
+ */
+
+import { eventBus, Events } from './EventBus.js';
+
+/**
+ * Displays a loading overlay with a progress bar fed by the ObjectLoader's
+ * 'loading-progress' events, and an error screen when a state fails to load.
+ */
+export default class LoadingScreen {
+    constructor() {
+        /** @type {HTMLDivElement | null} The root overlay element. */
+        this.container = null;
+        /** @type {HTMLDivElement | null} The inner progress bar element. */
+        this.progressBar = null;
+        /** @type {HTMLDivElement | null} The status text element. */
+        this.statusText = null;
+
+        this.onProgress = this.onProgress.bind(this);
+    }
+
+    /**
+     * Shows the loading overlay for the given state.
+     * @param {string} stateName - The name of the state being loaded.
+     */
+    show(stateName) {
+        this.hide();
+
+        this.container = document.createElement('div');
+        this.container.id = 'loading-screen';
+        Object.assign(this.container.style, {
+            position: 'absolute',
+            inset: '0',
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '16px',
+            backgroundColor: 'rgba(20, 20, 24, 0.95)',
+            color: 'white',
+            fontFamily: "'Roboto', sans-serif",
+            zIndex: '3000',
+        });
+
+        this.statusText = document.createElement('div');
+        this.statusText.textContent = `Loading ${stateName}...`;
+        this.container.appendChild(this.statusText);
+
+        const track = document.createElement('div');
+        Object.assign(track.style, {
+            width: '300px',
+            height: '8px',
+            backgroundColor: '#3a3a40',
+            borderRadius: '4px',
+            overflow: 'hidden',
+        });
+        this.progressBar = document.createElement('div');
+        Object.assign(this.progressBar.style, {
+            width: '0%',
+            height: '100%',
+            backgroundColor: '#0095ff',
+            transition: 'width 0.2s',
+        });
+        track.appendChild(this.progressBar);
+        this.container.appendChild(track);
+
+        document.body.appendChild(this.container);
+        eventBus.on(Events.LOADING_PROGRESS, this.onProgress);
+    }
+
+    /**
+     * Updates the progress bar from an ObjectLoader 'loading-progress' event.
+     * @param {{loaded: number, total: number}} progress - The number of finished and requested loads.
+     */
+    onProgress({ loaded, total }) {
+        if (!this.progressBar || total === 0) return;
+        this.progressBar.style.width = `${Math.round((loaded / total) * 100)}%`;
+    }
+
+    /**
+     * Replaces the loading overlay with an error screen.
+     * @param {string} stateName - The name of the state that failed to load.
+     * @param {Error} error - The error thrown by the state's enter().
+     * @param {{label: string, onClick: Function}} [action] - An optional recovery button.
+     */
+    showError(stateName, error, action) {
+        if (!this.container) {
+            this.show(stateName);
+        }
+        eventBus.off(Events.LOADING_PROGRESS, this.onProgress);
+
+        this.container.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.textContent = `Failed to load ${stateName}`;
+        this.container.appendChild(title);
+
+        const message = document.createElement('p');
+        message.textContent = error && error.message ? error.message : String(error);
+        message.style.color = '#dc3545';
+        this.container.appendChild(message);
+
+        if (action) {
+            const button = document.createElement('button');
+            button.textContent = action.label;
+            Object.assign(button.style, {
+                padding: '10px 15px',
+                backgroundColor: '#0095ff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '5px',
+                cursor: 'pointer',
+                fontSize: '1em',
+            });
+            button.onclick = () => {
+                this.hide();
+                action.onClick();
+            };
+            this.container.appendChild(button);
+        }
+    }
+
+    /**
+     * Removes the overlay from the DOM.
+     */
+    hide() {
+        eventBus.off(Events.LOADING_PROGRESS, this.onProgress);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+        this.progressBar = null;
+        this.statusText = null;
+    }
+}
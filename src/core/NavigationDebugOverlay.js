@@ -0,0 +1,128 @@
+/**
+ * @file Debug drawing of the navigation grid and of computed paths.
+ * @module core/NavigationDebugOverlay
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Draws the walkable cells of the current world's NavigationGrid and the last
+ * computed path into the world's scene. States register their grid with `setGrid`;
+ * the drawing is only shown while the overlay is enabled (F8 in development builds).
+ */
+class NavigationDebugOverlay {
+    constructor() {
+        /** @type {boolean} */
+        this.enabled = false;
+        /** @type {THREE.Scene | null} The scene the grid belongs to. */
+        this.scene = null;
+        /** @type {import('./NavigationGrid.js').default | null} */
+        this.grid = null;
+        /** @type {THREE.InstancedMesh | null} One flat quad per walkable cell. */
+        this.cellsMesh = null;
+        /** @type {THREE.Line | null} The last computed path. */
+        this.pathLine = null;
+    }
+
+    /**
+     * Registers the grid of the world that is being entered.
+     * @param {THREE.Scene} scene - The world's scene.
+     * @param {import('./NavigationGrid.js').default} grid - The world's navigation grid.
+     */
+    setGrid(scene, grid) {
+        this.clear();
+        this.scene = scene;
+        this.grid = grid;
+        if (this.enabled) this.drawCells();
+    }
+
+    /**
+     * Removes the drawing and forgets the grid, e.g. when its world is exited.
+     */
+    clear() {
+        this.removeCells();
+        this.removePath();
+        this.scene = null;
+        this.grid = null;
+    }
+
+    /**
+     * Shows the drawing if hidden, hides it otherwise.
+     */
+    toggle() {
+        this.enabled = !this.enabled;
+        if (this.enabled) {
+            this.drawCells();
+        } else {
+            this.removeCells();
+            this.removePath();
+        }
+    }
+
+    /**
+     * Draws a path, replacing the previous one. Does nothing while disabled.
+     * @param {THREE.Vector3} from - Where the path starts.
+     * @param {THREE.Vector3[]} waypoints - The path waypoints.
+     */
+    showPath(from, waypoints) {
+        if (!this.enabled || !this.scene) return;
+        this.removePath();
+
+        const points = [from, ...waypoints].map((point) => new THREE.Vector3(point.x, 0.06, point.z));
+        this.pathLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: 0xffd54f }),
+        );
+        this.scene.add(this.pathLine);
+    }
+
+    /**
+     * @private
+     */
+    drawCells() {
+        if (!this.scene || !this.grid || this.cellsMesh) return;
+
+        const { cellSize } = this.grid;
+        const geometry = new THREE.PlaneGeometry(cellSize * 0.9, cellSize * 0.9);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({ color: 0x4caf50, transparent: true, opacity: 0.35, depthWrite: false });
+        this.cellsMesh = new THREE.InstancedMesh(geometry, material, this.grid.walkableCells.size);
+
+        const matrix = new THREE.Matrix4();
+        let index = 0;
+        this.grid.walkableCells.forEach((key) => {
+            const [x, z] = key.split(',').map(Number);
+            matrix.makeTranslation(x * cellSize, 0.05, z * cellSize);
+            this.cellsMesh.setMatrixAt(index++, matrix);
+        });
+        this.scene.add(this.cellsMesh);
+    }
+
+    /**
+     * @private
+     */
+    removeCells() {
+        if (!this.cellsMesh) return;
+        this.cellsMesh.removeFromParent();
+        this.cellsMesh.geometry.dispose();
+        this.cellsMesh.material.dispose();
+        this.cellsMesh = null;
+    }
+
+    /**
+     * @private
+     */
+    removePath() {
+        if (!this.pathLine) return;
+        this.pathLine.removeFromParent();
+        this.pathLine.geometry.dispose();
+        this.pathLine.material.dispose();
+        this.pathLine = null;
+    }
+}
+
+/**
+ * The singleton instance of the NavigationDebugOverlay.
+ * @type {NavigationDebugOverlay}
+ */
+export const navigationDebug = new NavigationDebugOverlay();
@@ -0,0 +1,402 @@
+/**
+ * @file A walkability grid built from world data, with A* path queries.
+ * @module core/NavigationGrid
+ */
+
+import { Vector3 } from 'three';
+import { getObjectType, isMarkerObject } from '../utils/objectTypes.js';
+
+/**
+ * Extra cells around the world's objects that are walkable in worlds without floor tiles.
+ * @type {number}
+ */
+const OPEN_WORLD_MARGIN = 10;
+
+/**
+ * The eight neighbour offsets, with their step cost.
+ * @type {Array<{dx: number, dz: number, cost: number}>}
+ */
+const NEIGHBOURS = [
+    { dx: 1, dz: 0, cost: 1 },
+    { dx: -1, dz: 0, cost: 1 },
+    { dx: 0, dz: 1, cost: 1 },
+    { dx: 0, dz: -1, cost: 1 },
+    { dx: 1, dz: 1, cost: Math.SQRT2 },
+    { dx: 1, dz: -1, cost: Math.SQRT2 },
+    { dx: -1, dz: 1, cost: Math.SQRT2 },
+    { dx: -1, dz: -1, cost: Math.SQRT2 },
+];
+
+/**
+ * A minimal binary min-heap of A* nodes ordered by `f`.
+ * @private
+ */
+class NodeHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node) {
+        const { items } = this;
+        items.push(node);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const { items } = this;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * A grid of walkable cells matching the editor's tile grid (cell `x,z` is centered on
+ * world position `(x * cellSize, z * cellSize)`).
+ * Floors are walkable; walls and props block every cell they cover.
+ * NPCs and click-to-move query it with `findPath`.
+ */
+export default class NavigationGrid {
+    /**
+     * @param {number} [cellSize=1] - The size of one cell in world units, matching the editor's gridSize.
+     */
+    constructor(cellSize = 1) {
+        this.cellSize = cellSize;
+        /**
+         * Walkable cells, keyed `"x,z"` like the editor's `occupiedGridCells`.
+         * @type {Set<string>}
+         */
+        this.walkableCells = new Set();
+        /** @type {{minX: number, maxX: number, minZ: number, maxZ: number}} The cell bounds of the grid. */
+        this.bounds = { minX: 0, maxX: -1, minZ: 0, maxZ: -1 };
+    }
+
+    /**
+     * Builds a grid from world JSON (the format saved by the editor).
+     * Worlds without floor tiles rely on a ground plane, so every unblocked cell around
+     * their objects is walkable.
+     * @param {object | null} worldData - The world data, with an `objects` array.
+     * @param {number} [cellSize=1] - The size of one cell in world units.
+     * @returns {NavigationGrid}
+     */
+    static fromWorldData(worldData, cellSize = 1) {
+        const grid = new NavigationGrid(cellSize);
+        const floorCells = new Set();
+        const blockedCells = new Set();
+
+        for (const objectData of (worldData && worldData.objects) || []) {
+            // Portals and spawn points do not occupy their cell
+            if (isMarkerObject(objectData)) continue;
+            const modelPath = objectData.path || objectData.model || '';
+            const cells = grid.getFootprint(objectData);
+            const target = getObjectType(modelPath) === 'floor' ? floorCells : blockedCells;
+            cells.forEach((key) => target.add(key));
+        }
+
+        if (floorCells.size > 0) {
+            floorCells.forEach((key) => {
+                if (!blockedCells.has(key)) grid.walkableCells.add(key);
+            });
+        } else {
+            const { minX, maxX, minZ, maxZ } = NavigationGrid.boundsOf(blockedCells);
+            for (let x = minX - OPEN_WORLD_MARGIN; x <= maxX + OPEN_WORLD_MARGIN; x++) {
+                for (let z = minZ - OPEN_WORLD_MARGIN; z <= maxZ + OPEN_WORLD_MARGIN; z++) {
+                    const key = `${x},${z}`;
+                    if (!blockedCells.has(key)) grid.walkableCells.add(key);
+                }
+            }
+        }
+
+        grid.bounds = NavigationGrid.boundsOf(grid.walkableCells);
+        return grid;
+    }
+
+    /**
+     * Returns the cell bounds of a set of `"x,z"` keys, or an empty box around the origin.
+     * @private
+     * @param {Set<string>} cells
+     * @returns {{minX: number, maxX: number, minZ: number, maxZ: number}}
+     */
+    static boundsOf(cells) {
+        if (cells.size === 0) {
+            return { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+        }
+        const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+        cells.forEach((key) => {
+            const [x, z] = key.split(',').map(Number);
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.minZ = Math.min(bounds.minZ, z);
+            bounds.maxZ = Math.max(bounds.maxZ, z);
+        });
+        return bounds;
+    }
+
+    /**
+     * Returns the keys of the cells whose centers lie inside an object's scaled, rotated
+     * footprint. An unscaled object covers exactly its own cell.
+     * @private
+     * @param {object} objectData - The object's world data (position, rotation, scale).
+     * @returns {string[]}
+     */
+    getFootprint(objectData) {
+        const position = objectData.position || { x: 0, z: 0 };
+        const scale = objectData.scale || { x: 1, z: 1 };
+        const angle = (objectData.rotation && objectData.rotation.y) || 0;
+        const halfX = Math.max(0.5, Math.abs(scale.x || 1) / 2) * this.cellSize;
+        const halfZ = Math.max(0.5, Math.abs(scale.z || 1) / 2) * this.cellSize;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const reach = Math.ceil(Math.hypot(halfX, halfZ) / this.cellSize);
+        const center = this.worldToCell(position);
+
+        const cells = [];
+        for (let x = center.x - reach; x <= center.x + reach; x++) {
+            for (let z = center.z - reach; z <= center.z + reach; z++) {
+                // Cell center relative to the object, in the object's local (unrotated) axes
+                const dx = x * this.cellSize - position.x;
+                const dz = z * this.cellSize - position.z;
+                const localX = dx * cos - dz * sin;
+                const localZ = dx * sin + dz * cos;
+                if (x === center.x && z === center.z
+                    || (Math.abs(localX) < halfX && Math.abs(localZ) < halfZ)) {
+                    cells.push(`${x},${z}`);
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Converts a world position to cell coordinates.
+     * @param {{x: number, z: number}} position - A world position.
+     * @returns {{x: number, z: number}}
+     */
+    worldToCell(position) {
+        return { x: Math.round(position.x / this.cellSize), z: Math.round(position.z / this.cellSize) };
+    }
+
+    /**
+     * Converts cell coordinates to the world position of the cell center, on the ground.
+     * @param {number} x - The cell X coordinate.
+     * @param {number} z - The cell Z coordinate.
+     * @returns {Vector3}
+     */
+    cellToWorld(x, z) {
+        return new Vector3(x * this.cellSize, 0, z * this.cellSize);
+    }
+
+    /**
+     * Checks if a cell can be walked on.
+     * @param {number} x - The cell X coordinate.
+     * @param {number} z - The cell Z coordinate.
+     * @returns {boolean}
+     */
+    isWalkable(x, z) {
+        return this.walkableCells.has(`${x},${z}`);
+    }
+
+    /**
+     * Marks a cell as walkable or blocked, e.g. when an object is moved at runtime.
+     * @param {number} x - The cell X coordinate.
+     * @param {number} z - The cell Z coordinate.
+     * @param {boolean} walkable - The new state of the cell.
+     */
+    setWalkable(x, z, walkable) {
+        const key = `${x},${z}`;
+        if (walkable) {
+            this.walkableCells.add(key);
+            this.bounds.minX = Math.min(this.bounds.minX, x);
+            this.bounds.maxX = Math.max(this.bounds.maxX, x);
+            this.bounds.minZ = Math.min(this.bounds.minZ, z);
+            this.bounds.maxZ = Math.max(this.bounds.maxZ, z);
+        } else {
+            this.walkableCells.delete(key);
+        }
+    }
+
+    /**
+     * Finds the walkable cell closest to a cell, searching outwards ring by ring.
+     * @param {{x: number, z: number}} cell - The cell to start from.
+     * @param {number} [maxRadius=10] - How many rings to search.
+     * @returns {{x: number, z: number} | null}
+     */
+    findNearestWalkable(cell, maxRadius = 10) {
+        if (this.isWalkable(cell.x, cell.z)) return cell;
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+            for (let x = cell.x - radius; x <= cell.x + radius; x++) {
+                for (let z = cell.z - radius; z <= cell.z + radius; z++) {
+                    // Only the ring's border; the inside was searched already
+                    if (Math.abs(x - cell.x) !== radius && Math.abs(z - cell.z) !== radius) continue;
+                    const distance = Math.hypot(x - cell.x, z - cell.z);
+                    if (distance < bestDistance && this.isWalkable(x, z)) {
+                        best = { x, z };
+                        bestDistance = distance;
+                    }
+                }
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+
+    /**
+     * Finds a path between two world positions with A* over the 8-connected grid,
+     * without cutting corners past blocked cells. Blocked start or goal positions are
+     * moved to the nearest walkable cell, so an object's cell can be used as the goal.
+     * @param {{x: number, z: number}} from - The start position in world units.
+     * @param {{x: number, z: number}} to - The goal position in world units.
+     * @param {object} [options]
+     * @param {boolean} [options.smooth=true] - Whether to remove waypoints that are in line of sight.
+     * @returns {Vector3[] | null} The waypoints from the start (excluded) to the goal, or null if unreachable.
+     *   Never empty: a goal in the start cell gives a single waypoint.
+     */
+    findPath(from, to, { smooth = true } = {}) {
+        const start = this.findNearestWalkable(this.worldToCell(from));
+        const goal = this.findNearestWalkable(this.worldToCell(to));
+        if (!start || !goal) return null;
+
+        const cells = this.searchCells(start, goal);
+        if (!cells) return null;
+        // Start and goal share a cell: still walk to the goal, e.g. to reach an object next to it
+        if (cells.length === 0) cells.push(goal);
+
+        let waypoints = cells.map((cell) => this.cellToWorld(cell.x, cell.z));
+        // End on the exact goal position when it is inside the goal cell
+        const goalCell = this.worldToCell(to);
+        if (goalCell.x === goal.x && goalCell.z === goal.z) {
+            waypoints[waypoints.length - 1] = new Vector3(to.x, 0, to.z);
+        }
+        if (smooth) {
+            waypoints = this.smoothPath(new Vector3(from.x, 0, from.z), waypoints);
+        }
+        return waypoints;
+    }
+
+    /**
+     * Runs A* between two walkable cells.
+     * @private
+     * @param {{x: number, z: number}} start
+     * @param {{x: number, z: number}} goal
+     * @returns {Array<{x: number, z: number}> | null} The cells after the start, up to and including the goal.
+     */
+    searchCells(start, goal) {
+        const heuristic = (x, z) => {
+            // Octile distance, admissible for 8-connected movement
+            const dx = Math.abs(x - goal.x);
+            const dz = Math.abs(z - goal.z);
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const open = new NodeHeap();
+        const nodes = new Map();
+        const startNode = { x: start.x, z: start.z, g: 0, f: heuristic(start.x, start.z), parent: null, closed: false };
+        nodes.set(`${start.x},${start.z}`, startNode);
+        open.push(startNode);
+
+        while (open.size > 0) {
+            const node = open.pop();
+            if (node.closed) continue; // A stale entry, superseded by a cheaper one
+            if (node.x === goal.x && node.z === goal.z) {
+                const cells = [];
+                for (let current = node; current.parent; current = current.parent) {
+                    cells.unshift({ x: current.x, z: current.z });
+                }
+                return cells;
+            }
+            node.closed = true;
+
+            for (const { dx, dz, cost } of NEIGHBOURS) {
+                const x = node.x + dx;
+                const z = node.z + dz;
+                if (!this.isWalkable(x, z)) continue;
+                // Diagonal moves need both adjacent cells free
+                if (dx !== 0 && dz !== 0 && (!this.isWalkable(node.x + dx, node.z) || !this.isWalkable(node.x, node.z + dz))) {
+                    continue;
+                }
+
+                const key = `${x},${z}`;
+                const g = node.g + cost;
+                const existing = nodes.get(key);
+                if (existing && (existing.closed || existing.g <= g)) continue;
+
+                const next = { x, z, g, f: g + heuristic(x, z), parent: node, closed: false };
+                if (existing) existing.closed = true; // Invalidate the older heap entry
+                nodes.set(key, next);
+                open.push(next);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Removes intermediate waypoints that can be skipped by walking in a straight line.
+     * @private
+     * @param {Vector3} from - The start position.
+     * @param {Vector3[]} waypoints - The waypoints to smooth.
+     * @returns {Vector3[]}
+     */
+    smoothPath(from, waypoints) {
+        const smoothed = [];
+        let anchor = from;
+        let i = 0;
+        while (i < waypoints.length) {
+            // Go as far ahead as the line of sight allows
+            let furthest = i;
+            for (let j = waypoints.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(anchor, waypoints[j])) {
+                    furthest = j;
+                    break;
+                }
+            }
+            smoothed.push(waypoints[furthest]);
+            anchor = waypoints[furthest];
+            i = furthest + 1;
+        }
+        return smoothed;
+    }
+
+    /**
+     * Checks if the straight segment between two positions only crosses walkable cells,
+     * sampling it every quarter cell.
+     * @param {{x: number, z: number}} a - The start position.
+     * @param {{x: number, z: number}} b - The end position.
+     * @returns {boolean}
+     */
+    hasLineOfSight(a, b) {
+        const distance = Math.hypot(b.x - a.x, b.z - a.z);
+        const samples = Math.max(1, Math.ceil(distance / (this.cellSize / 4)));
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const cell = this.worldToCell({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+            if (!this.isWalkable(cell.x, cell.z)) return false;
+        }
+        return true;
+    }
+}
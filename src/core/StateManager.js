@@ -3,10 +3,18 @@
  * @module core/StateManager
  */
 
-import { eventBus } from './EventBus.js';
+import { eventBus, Events } from './EventBus.js';
+import LoadingScreen from './LoadingScreen.js';
+import { inputHandler } from './InputHandler.js';
 import HubWorldState from '../states/HubWorldState.js'; // Assuming HubWorldState is also managed here
 import SolarSystemState from '../states/SolarSystemState.js'; // Import SolarSystemState
 
+/**
+ * Number of consecutive transitions with a growing listener count before a leak warning is shown.
+ * @type {number}
+ */
+const LISTENER_GROWTH_WINDOW = 4;
+
 /**
  * Manages the game's finite state machine. Each state represents a "world" or "scene"
  * (e.g., Main Menu, Hub, Minigame). It is responsible for transitioning between states,
@@ -19,14 +27,126 @@ export default class StateManager {
     constructor(game) {
         this.game = game;
         this.states = {};
+        /**
+         * The base state, set through `setState`.
+         * @type {import('../states/BaseState.js').default | null}
+         */
         this.currentState = null;
+        /**
+         * States pushed on top of the base state, from bottom to top.
+         * @type {import('../states/BaseState.js').default[]}
+         */
+        this.overlayStates = [];
+        /**
+         * The state currently being entered or exited. It is neither updated nor rendered.
+         * @type {import('../states/BaseState.js').default | null}
+         */
+        this.pendingState = null;
+        /**
+         * Transition requests waiting for the active transition to finish.
+         * @type {Array<{type: 'set'|'push'|'pop', name: string|null, params: object, token: number, resolve: Function}>}
+         */
+        this.transitionQueue = [];
+        /**
+         * Incremented by every `setState` request. A running transition whose token is no longer
+         * the latest has been superseded, and is abandoned instead of committed.
+         * @type {number}
+         */
+        this.transitionToken = 0;
+        /**
+         * True while queued transitions are being processed.
+         * @type {boolean}
+         */
+        this.isTransitioning = false;
+        /** @type {LoadingScreen} */
+        this.loadingScreen = new LoadingScreen();
 
         // Register states
         this.addState('HubWorld', new HubWorldState(game));
         this.addState('SolarSystem', new SolarSystemState(game));
         console.log("StateManager: All states registered in constructor:", this.states); // Added log
 
-        eventBus.on('change-state', this.setState.bind(this));
+        /**
+         * Removes the 'change-state' listener; called by `dispose`.
+         * @type {Function | null}
+         */
+        this.unsubscribeChangeState = eventBus.on(Events.CHANGE_STATE, this.onChangeState.bind(this));
+
+        /**
+         * Total EventBus listener counts recorded after recent transitions, used in
+         * development builds to warn about listeners that are never removed.
+         * @type {number[]}
+         */
+        this.listenerCountHistory = [];
+    }
+
+    /**
+     * Tears the state machine down, e.g. before replacing the game: stops listening for
+     * 'change-state' events, cancels the queued transitions and exits every active state.
+     * @returns {Promise<void>} Resolves once every state has exited.
+     */
+    async dispose() {
+        if (this.unsubscribeChangeState) {
+            this.unsubscribeChangeState();
+            this.unsubscribeChangeState = null;
+        }
+        this.transitionQueue.forEach((pending) => pending.resolve(false));
+        this.transitionQueue = [];
+        this.transitionToken++;
+
+        while (this.overlayStates.length > 0) {
+            await this.exitState(this.overlayStates.pop());
+        }
+        if (this.currentState) {
+            const oldState = this.currentState;
+            this.currentState = null;
+            await this.exitState(oldState);
+        }
+        this.loadingScreen.hide();
+    }
+
+    /**
+     * Warns (in development builds only) when the number of EventBus listeners has grown
+     * after each of the last few transitions, which usually means a state or entity
+     * subscribes without cleaning up.
+     * @private
+     */
+    checkListenerGrowth() {
+        if (!import.meta.env.DEV) return;
+
+        this.listenerCountHistory.push(eventBus.listenerCount());
+        if (this.listenerCountHistory.length > LISTENER_GROWTH_WINDOW) {
+            this.listenerCountHistory.shift();
+        }
+
+        const history = this.listenerCountHistory;
+        const isGrowing = history.length === LISTENER_GROWTH_WINDOW
+            && history.every((count, i) => i === 0 || count > history[i - 1]);
+        if (isGrowing) {
+            console.warn(
+                `StateManager: EventBus listener count grew after each of the last ${LISTENER_GROWTH_WINDOW} transitions (${history.join(' -> ')}). `
+                + 'Make sure states and entities subscribe through eventBus.scope() or unsubscribe on exit.',
+                eventBus.events,
+            );
+        }
+    }
+
+    /**
+     * Handles the 'change-state' event.
+     * The payload can be either the state name or an object carrying the name and its parameters.
+     * @param {string | {name: string, params?: object}} payload - The target state.
+     * @example
+     * eventBus.emit(Events.CHANGE_STATE, 'HubWorld');
+     * eventBus.emit(Events.CHANGE_STATE, { name: 'CustomWorld', params: { worldName: 'arcade' } });
+     */
+    onChangeState(payload) {
+        if (typeof payload === 'string') {
+            this.setState(payload);
+        } else if (payload && payload.name) {
+            this.setState(payload.name, payload.params);
+        } else {
+            console.error('StateManager: Invalid change-state payload:', payload);
+        }
     }
 
     /**
@@ -41,33 +161,330 @@ export default class StateManager {
     }
 
     /**
-     * Sets the active game state.
+     * Returns the name a state was added under.
+     * @param {import('../states/BaseState.js').default} state - The state instance.
+     * @returns {string | null} The name, or null if the state was never added.
+     */
+    getStateName(state) {
+        return Object.keys(this.states).find((name) => this.states[name] === state) || null;
+    }
+
+    /**
+     * Requests a transition to another state, replacing the whole state stack.
+     * Requests made while a transition is running are queued. A new `setState` request
+     * cancels every request that has not started yet, so stale requests (e.g. a portal
+     * firing twice) are dropped, and abandons the running one once its current step ends
+     * (see `runTransition`).
+     * @param {string} name - The name of the state to activate.
+     * @param {object} [params={}] - Parameters forwarded to the new state's `enter()` method.
+     * @returns {Promise<boolean>} Resolves with true once the state has entered, or false if
+     * the request was cancelled or the state failed to load.
+     */
+    setState(name, params = {}) {
+        // Drop any pending request that has not started yet
+        this.transitionQueue.forEach((pending) => {
+            console.log(`StateManager: Cancelling stale transition (${pending.type} '${pending.name}').`);
+            pending.resolve(false);
+        });
+        this.transitionQueue = [];
+        // Also supersede the transition that is running, if any
+        this.transitionToken++;
+        return this.enqueueTransition('set', name, params);
+    }
+
+    /**
+     * Pushes a state on top of the current one (e.g. a pause menu or dialog).
+     * The states below keep rendering; their updates are suspended unless the pushed
+     * state sets `suspendsStatesBelow` to false. Only the top state receives input.
+     * @param {string} name - The name of the state to push.
+     * @param {object} [params={}] - Parameters forwarded to the state's `enter()` method.
+     * @returns {Promise<boolean>} Resolves with true once the state has entered.
+     */
+    pushState(name, params = {}) {
+        return this.enqueueTransition('push', name, params);
+    }
+
+    /**
+     * Removes the top overlay state and resumes the state below it.
+     * The base state set through `setState` cannot be popped.
+     * @returns {Promise<boolean>} Resolves with true once the state has exited.
+     */
+    popState() {
+        return this.enqueueTransition('pop', null, {});
+    }
+
+    /**
+     * The state that currently receives input: the top overlay, or the base state.
+     * @type {import('../states/BaseState.js').default | null}
+     */
+    get activeState() {
+        return this.overlayStates.length > 0
+            ? this.overlayStates[this.overlayStates.length - 1]
+            : this.currentState;
+    }
+
+    /**
+     * Returns all active states from bottom (the base state) to top.
+     * @returns {import('../states/BaseState.js').default[]}
+     */
+    getStateStack() {
+        return this.currentState ? [this.currentState, ...this.overlayStates] : [...this.overlayStates];
+    }
+
+    /**
+     * Returns the states that are fully entered and can be rendered, from bottom to top.
+     * @returns {import('../states/BaseState.js').default[]}
+     */
+    getRenderableStates() {
+        return this.getStateStack().filter(
+            (state) => state !== this.pendingState && state.scene && state.camera,
+        );
+    }
+
+    /**
+     * Adds a transition to the queue and starts processing it if idle.
+     * @private
+     * @param {'set'|'push'|'pop'} type - The kind of transition.
+     * @param {string | null} name - The target state name.
+     * @param {object} params - Parameters forwarded to `enter()`.
+     * @returns {Promise<boolean>}
+     */
+    enqueueTransition(type, name, params) {
+        return new Promise((resolve) => {
+            this.transitionQueue.push({ type, name, params, token: this.transitionToken, resolve });
+            if (!this.isTransitioning) {
+                this.processTransitionQueue();
+            }
+        });
+    }
+
+    /**
+     * Runs queued transitions one after another until the queue is empty.
+     * @private
+     */
+    async processTransitionQueue() {
+        this.isTransitioning = true;
+        while (this.transitionQueue.length > 0) {
+            const { type, name, params, token, resolve } = this.transitionQueue.shift();
+            let result;
+            switch (type) {
+                case 'set': result = await this.runTransition(name, params, token); break;
+                case 'push': result = await this.runPush(name, params); break;
+                case 'pop': result = await this.runPop(); break;
+            }
+            resolve(result);
+        }
+        this.isTransitioning = false;
+    }
+
+    /**
+     * Calls `exit()` on a state, logging instead of throwing on failure.
+     * @private
+     * @param {import('../states/BaseState.js').default} state - The state to exit.
+     */
+    async exitState(state) {
+        console.log(`Exiting state: ${state.constructor.name}`);
+        this.pendingState = state;
+        try {
+            await state.exit();
+        } catch (error) {
+            console.error(`StateManager: Error while exiting state:`, error);
+        }
+        this.pendingState = null;
+    }
+
+    /**
+     * Exits every active state and enters the requested one, awaiting async `enter()` methods.
+     * A rejected `enter()` is surfaced through the loading screen's error view.
+     * If a newer `setState` request arrives meanwhile, the transition stops after the current step:
+     * a state that has finished entering is exited again instead of becoming the current state.
+     * @private
      * @param {string} name - The name of the state to activate.
+     * @param {object} params - Parameters forwarded to the new state's `enter()` method.
+     * @param {number} token - The `transitionToken` of the request.
+     * @returns {Promise<boolean>} True if the state entered successfully.
      */
-    setState(name) {
+    async runTransition(name, params, token) {
+        const newState = this.states[name];
+        if (!newState) {
+            console.error(`State '${name}' not found.`);
+            return false;
+        }
+
+        while (this.overlayStates.length > 0) {
+            await this.exitState(this.overlayStates.pop());
+        }
         if (this.currentState) {
-            console.log(`Exiting state: ${this.currentState.constructor.name}`);
-            this.currentState.exit();
+            const oldState = this.currentState;
+            this.currentState = null;
+            await this.exitState(oldState);
+        }
+        // A time scale set in the old world (e.g. paused) must not carry over to the new one
+        if (this.game.timeScale !== 1) {
+            this.game.setTimeScale(1);
+        }
+        if (this.isStale(token)) {
+            console.log(`StateManager: Cancelling stale transition ('${name}') before entering it.`);
+            return false;
+        }
+
+        console.log(`Entering state: ${name}`);
+        this.loadingScreen.show(name);
+        this.currentState = newState;
+        this.pendingState = newState;
+        // Report the progress of every load of enter() as a whole
+        const { loader } = this.game;
+        if (loader) loader.beginBatch();
+        try {
+            await newState.enter(params);
+        } catch (error) {
+            console.error(`StateManager: Failed to enter state '${name}':`, error);
+            this.currentState = null;
+            await this.exitState(newState);
+            // A newer request replaces the error screen anyway
+            if (this.isStale(token)) return false;
+
+            const fallback = name === 'HubWorld'
+                ? { label: 'Retry', onClick: () => this.setState(name, params) }
+                : { label: 'Return to Hub', onClick: () => this.setState('HubWorld') };
+            this.loadingScreen.showError(name, error, fallback);
+            return false;
+        } finally {
+            if (loader) loader.endBatch();
+        }
+        if (this.isStale(token)) {
+            console.log(`StateManager: Cancelling stale transition ('${name}'), exiting the entered state.`);
+            this.currentState = null;
+            await this.exitState(newState);
+            return false;
         }
+        this.pendingState = null;
+
+        this.loadingScreen.hide();
+        this.checkListenerGrowth();
+        return true;
+    }
 
+    /**
+     * Checks if a transition has been superseded by a newer `setState` request.
+     * @private
+     * @param {number} token - The `transitionToken` of the transition.
+     * @returns {boolean}
+     */
+    isStale(token) {
+        return token !== this.transitionToken;
+    }
+
+    /**
+     * Pauses the active state and enters the requested one on top of it.
+     * @private
+     * @param {string} name - The name of the state to push.
+     * @param {object} params - Parameters forwarded to the state's `enter()` method.
+     * @returns {Promise<boolean>} True if the state entered successfully.
+     */
+    async runPush(name, params) {
         const newState = this.states[name];
-        if (newState) {
-            console.log(`Entering state: ${name}`);
-            this.currentState = newState;
-            this.currentState.enter();
-        } else {
+        if (!newState) {
             console.error(`State '${name}' not found.`);
+            return false;
+        }
+        if (this.getStateStack().includes(newState)) {
+            console.error(`StateManager: State '${name}' is already active.`);
+            return false;
+        }
+
+        const coveredState = this.activeState;
+        if (coveredState) {
+            coveredState.pause();
+        }
+
+        console.log(`Pushing state: ${name}`);
+        this.overlayStates.push(newState);
+        this.pendingState = newState;
+        try {
+            await newState.enter(params);
+        } catch (error) {
+            console.error(`StateManager: Failed to push state '${name}':`, error);
+            this.overlayStates.pop();
+            await this.exitState(newState);
+            if (coveredState) {
+                coveredState.resume();
+            }
+            return false;
+        }
+        this.pendingState = null;
+        return true;
+    }
+
+    /**
+     * Exits the top overlay state and resumes the one below it.
+     * @private
+     * @returns {Promise<boolean>} True if a state was popped.
+     */
+    async runPop() {
+        if (this.overlayStates.length === 0) {
+            console.warn('StateManager: No overlay state to pop.');
+            return false;
         }
+
+        await this.exitState(this.overlayStates.pop());
+
+        const uncoveredState = this.activeState;
+        if (uncoveredState) {
+            uncoveredState.resume();
+        }
+        return true;
     }
 
     /**
      * Called every frame by the main game loop.
-     * Delegates the update logic to the currently active state.
+     * Updates the top state, then each state below it for as long as the state above
+     * does not suspend it. Only the top state can read input.
+     * States that are still entering or exiting are skipped.
      * @param {number} deltaTime - The time elapsed since the last frame.
      */
     update(deltaTime) {
-        if (this.currentState) {
-            this.currentState.update(deltaTime);
+        const stack = this.getStateStack();
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const state = stack[i];
+            if (state !== this.pendingState) {
+                inputHandler.suppressed = i !== stack.length - 1;
+                state.update(deltaTime);
+            }
+            if (state.suspendsStatesBelow) {
+                break;
+            }
+        }
+        inputHandler.suppressed = false;
+    }
+
+    /**
+     * Called every frame by the main game loop while the time scale is 0, instead of `update`.
+     * Updates the overlay states like `update` does, but never the frozen base state.
+     * @param {number} deltaTime - The real duration of the frame in seconds.
+     */
+    updateOverlays(deltaTime) {
+        for (let i = this.overlayStates.length - 1; i >= 0; i--) {
+            const state = this.overlayStates[i];
+            if (state !== this.pendingState) {
+                inputHandler.suppressed = i !== this.overlayStates.length - 1;
+                state.update(deltaTime);
+            }
+            if (state.suspendsStatesBelow) {
+                break;
+            }
+        }
+        inputHandler.suppressed = false;
+    }
+
+    /**
+     * Called once per rendered frame, after the simulation steps.
+     * Lets every renderable state blend entity transforms between simulation steps.
+     * @param {number} alpha - How far the render time is between the previous and the current step, in [0, 1).
+     */
+    interpolate(alpha) {
+        for (const state of this.getRenderableStates()) {
+            state.interpolate(alpha);
         }
     }
 }
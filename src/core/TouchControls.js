@@ -0,0 +1,273 @@
+/**
+ * @file On-screen virtual joystick and action buttons for touch devices.
+ * @module core/TouchControls
+ */
+
+/**
+ * Radius of the joystick base, in pixels. The knob can travel this far from the center.
+ * @type {number}
+ */
+const JOYSTICK_RADIUS = 60;
+
+/**
+ * Fraction of the joystick radius ignored around the center.
+ * @type {number}
+ */
+const JOYSTICK_DEAD_ZONE = 0.1;
+
+/**
+ * Renders a virtual joystick (bottom left) and interact and jump buttons (bottom right) as a DOM overlay.
+ * The joystick acts like a gamepad stick and each button like a key bound to its action,
+ * so holding the interact button opens the animation selection just like holding F.
+ * Owned by the InputHandler, which merges it with keyboard and gamepad input.
+ * Enabled automatically on devices whose primary pointer is coarse (touch screens).
+ */
+export default class TouchControls {
+    constructor() {
+        /**
+         * Whether the controls are used on this device.
+         * @type {boolean}
+         */
+        this.enabled = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+        /**
+         * The joystick deflection, each axis in [-1, 1] (+y down).
+         * @type {{x: number, y: number}}
+         */
+        this.stick = { x: 0, y: 0 };
+        /**
+         * On-screen buttons currently held, by the action they trigger.
+         * @type {Object.<string, boolean>}
+         */
+        this.buttons = {};
+        /** @type {Object.<string, number>} `performance.now()` at which each held button was pressed. */
+        this.buttonPressTimes = {};
+        /** @type {Object.<string, number>} Hold durations of buttons released since the last update, in milliseconds. */
+        this.releasedButtonDurations = {};
+        /** @type {Set<string>} Buttons pressed since the last update. */
+        this.buttonsPressedThisFrame = new Set();
+        /** @type {Set<string>} Buttons released since the last update. */
+        this.buttonsReleasedThisFrame = new Set();
+
+        /** @type {HTMLDivElement | null} The root overlay element. */
+        this.container = null;
+        /** @type {HTMLDivElement | null} The joystick knob element. */
+        this.knob = null;
+        /** @type {number | null} The pointer currently dragging the joystick. */
+        this.joystickPointerId = null;
+    }
+
+    /**
+     * Shows the overlay. Does nothing on devices without a coarse pointer.
+     * Called by playable world states when they are entered.
+     */
+    show() {
+        if (!this.enabled || this.container) return;
+
+        this.container = document.createElement('div');
+        this.container.id = 'touch-controls';
+        Object.assign(this.container.style, {
+            position: 'absolute',
+            inset: '0',
+            pointerEvents: 'none',
+            zIndex: '900',
+        });
+        this.container.appendChild(this.createJoystick());
+        this.container.appendChild(this.createButton('interact', 'F', { right: '40px', bottom: '50px' }));
+        this.container.appendChild(this.createButton('jump', '\u2191', { right: '140px', bottom: '30px' }));
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Removes the overlay and releases anything held.
+     */
+    hide() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+        this.knob = null;
+        this.joystickPointerId = null;
+        this.stick.x = 0;
+        this.stick.y = 0;
+        for (const action in this.buttons) {
+            this.releaseButton(action);
+        }
+    }
+
+    /**
+     * Clears the per-frame state. Called by the InputHandler after each simulation step.
+     */
+    update() {
+        this.buttonsPressedThisFrame.clear();
+        this.buttonsReleasedThisFrame.clear();
+        this.releasedButtonDurations = {};
+    }
+
+    /**
+     * Checks if the on-screen button for an action is currently held.
+     * @param {string} action - The action name.
+     * @returns {boolean}
+     */
+    isButtonDown(action) {
+        return this.buttons[action] || false;
+    }
+
+    /**
+     * Checks if the on-screen button for an action was pressed since the last update.
+     * @param {string} action - The action name.
+     * @returns {boolean}
+     */
+    wasButtonJustPressed(action) {
+        return this.buttonsPressedThisFrame.has(action);
+    }
+
+    /**
+     * Checks if the on-screen button for an action was released since the last update.
+     * @param {string} action - The action name.
+     * @returns {boolean}
+     */
+    wasButtonJustReleased(action) {
+        return this.buttonsReleasedThisFrame.has(action);
+    }
+
+    /**
+     * Returns how long the on-screen button for an action has been held, or for how long
+     * it was held if it was released since the last update, in milliseconds.
+     * @param {string} action - The action name.
+     * @returns {number}
+     */
+    getButtonHoldDuration(action) {
+        if (this.buttons[action]) {
+            return performance.now() - this.buttonPressTimes[action];
+        }
+        return this.releasedButtonDurations[action] || 0;
+    }
+
+    /**
+     * Creates the joystick base and knob, and wires its pointer events.
+     * @private
+     * @returns {HTMLDivElement}
+     */
+    createJoystick() {
+        const base = document.createElement('div');
+        Object.assign(base.style, {
+            position: 'absolute',
+            left: '30px',
+            bottom: '30px',
+            width: `${JOYSTICK_RADIUS * 2}px`,
+            height: `${JOYSTICK_RADIUS * 2}px`,
+            borderRadius: '50%',
+            backgroundColor: 'rgba(255, 255, 255, 0.2)',
+            border: '2px solid rgba(255, 255, 255, 0.4)',
+            pointerEvents: 'auto',
+            touchAction: 'none',
+        });
+
+        this.knob = document.createElement('div');
+        Object.assign(this.knob.style, {
+            position: 'absolute',
+            left: '50%',
+            top: '50%',
+            width: '50px',
+            height: '50px',
+            marginLeft: '-25px',
+            marginTop: '-25px',
+            borderRadius: '50%',
+            backgroundColor: 'rgba(255, 255, 255, 0.6)',
+        });
+        base.appendChild(this.knob);
+
+        const moveKnob = (e) => {
+            const rect = base.getBoundingClientRect();
+            let dx = e.clientX - (rect.left + rect.width / 2);
+            let dy = e.clientY - (rect.top + rect.height / 2);
+            const distance = Math.hypot(dx, dy);
+            if (distance > JOYSTICK_RADIUS) {
+                dx = (dx / distance) * JOYSTICK_RADIUS;
+                dy = (dy / distance) * JOYSTICK_RADIUS;
+            }
+            this.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+            const deflection = Math.min(distance, JOYSTICK_RADIUS) / JOYSTICK_RADIUS;
+            this.stick.x = deflection > JOYSTICK_DEAD_ZONE ? dx / JOYSTICK_RADIUS : 0;
+            this.stick.y = deflection > JOYSTICK_DEAD_ZONE ? dy / JOYSTICK_RADIUS : 0;
+        };
+        const releaseKnob = (e) => {
+            if (e.pointerId !== this.joystickPointerId) return;
+            this.joystickPointerId = null;
+            this.knob.style.transform = '';
+            this.stick.x = 0;
+            this.stick.y = 0;
+        };
+
+        base.addEventListener('pointerdown', (e) => {
+            if (this.joystickPointerId !== null) return;
+            this.joystickPointerId = e.pointerId;
+            base.setPointerCapture(e.pointerId);
+            moveKnob(e);
+        });
+        base.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.joystickPointerId) moveKnob(e);
+        });
+        base.addEventListener('pointerup', releaseKnob);
+        base.addEventListener('pointercancel', releaseKnob);
+
+        return base;
+    }
+
+    /**
+     * Creates a round on-screen button that triggers an action while held.
+     * @private
+     * @param {string} action - The action the button triggers.
+     * @param {string} label - The button text.
+     * @param {{right: string, bottom: string}} placement - The CSS offsets from the bottom right corner.
+     * @returns {HTMLDivElement}
+     */
+    createButton(action, label, placement) {
+        const button = document.createElement('div');
+        button.textContent = label;
+        Object.assign(button.style, {
+            position: 'absolute',
+            ...placement,
+            width: '80px',
+            height: '80px',
+            borderRadius: '50%',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            backgroundColor: 'rgba(97, 218, 251, 0.5)',
+            color: 'white',
+            fontSize: '1.5em',
+            fontWeight: 'bold',
+            userSelect: 'none',
+            pointerEvents: 'auto',
+            touchAction: 'none',
+        });
+
+        button.addEventListener('pointerdown', (e) => {
+            button.setPointerCapture(e.pointerId);
+            if (this.buttons[action]) return;
+            this.buttons[action] = true;
+            this.buttonPressTimes[action] = performance.now();
+            this.buttonsPressedThisFrame.add(action);
+        });
+        button.addEventListener('pointerup', () => this.releaseButton(action));
+        button.addEventListener('pointercancel', () => this.releaseButton(action));
+        // Prevent the long-press context menu from interrupting a hold
+        button.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        return button;
+    }
+
+    /**
+     * @private
+     * @param {string} action - The action whose button was released.
+     */
+    releaseButton(action) {
+        if (!this.buttons[action]) return;
+        this.buttons[action] = false;
+        this.releasedButtonDurations[action] = performance.now() - this.buttonPressTimes[action];
+        delete this.buttonPressTimes[action];
+        this.buttonsReleasedThisFrame.add(action);
+    }
+}
@@ -3,27 +3,76 @@
  * @module entities/Entity
  */
 
-import { Group, Scene, Texture } from 'three';
+import { Group, Object3D, Scene } from 'three';
+import { eventBus } from '../core/EventBus.js';
+import EntityWorld from '../core/EntityWorld.js';
+import { createGuid } from '../utils/guid.js';
+import { disposeObject } from '../utils/disposeObject.js';
 
 /**
  * Represents an object in the game (player, enemy, item, portal, etc.).
  * Acts as a container for Components. The logic and data of an entity
  * are defined by the components it possesses.
+ * Entities can be nested with `addChild`: a child's sceneObject is parented into its parent's
+ * (or one of its bones), so it inherits the parent's transform, and the child is updated,
+ * interpolated and destroyed along with its parent.
  */
 export default class Entity {
     /**
      * @param {import('../core/Game.js').default} game - The main game instance.
      * @param {Scene} scene - The Three.js scene where the entity (or its representation) exists.
+     * @param {string} [id] - The entity's persistent ID, e.g. from its world object. A new one is generated if omitted.
      */
-    constructor(game, scene) {
+    constructor(game, scene, id = createGuid()) {
         /** @type {import('../core/Game.js').default} */
         this.game = game; // Store the game instance
         /** @type {Scene} */
         this.scene = scene;
         /** @type {import('../components/BaseComponent.js').default[]} */
         this.components = [];
-        /** @type {string} */
-        this.id = Math.random().toString(36).substring(2, 9); // Unique ID for debugging
+        /**
+         * Identifies the entity within its scene. Entities created from world objects keep
+         * the object's `id` across loads, so interactions can reference them.
+         * @type {string}
+         */
+        this.id = id;
+        /**
+         * A name to find the entity by among its parent's children, e.g. `'held-item'`.
+         * @type {string}
+         */
+        this.name = '';
+        /**
+         * The entity this one is attached to, or null for a top-level entity.
+         * @type {Entity | null}
+         */
+        this.parent = null;
+        /**
+         * The entities attached to this one.
+         * @type {Entity[]}
+         */
+        this.children = [];
+        /**
+         * Labels that let other systems recognise the entity, e.g. `'player'` for TriggerComponents.
+         * @type {Set<string>}
+         */
+        this.tags = new Set();
+        /**
+         * The components found by `getComponent`, by the class they were looked up with.
+         * Cleared whenever a component is added or removed.
+         * @private
+         * @type {Map<Function, import('../components/BaseComponent.js').default | null>}
+         */
+        this.componentCache = new Map();
+        /**
+         * The registry of the scene's entities, which indexes this entity by component type and tag.
+         * @type {EntityWorld | null}
+         */
+        this.world = null;
+        /**
+         * Set once `destroy` has run, so a second call does nothing.
+         * @type {boolean}
+         */
+        this.isDestroyed = false;
 
         /**
          * The root 3D object for this entity in the scene.
@@ -34,6 +83,8 @@ export default class Entity {
         this.sceneObject.userData.entity = this; // Store a reference to this Entity
         if (this.scene) {
             this.scene.add(this.sceneObject);
+            this.world = EntityWorld.forScene(this.scene);
+            this.world.add(this);
         } else {
             console.error("Entity constructor: 'scene' is null. Cannot add sceneObject to scene.");
             // Depending on desired behavior, you might throw an error here:
@@ -48,66 +99,237 @@ export default class Entity {
     addComponent(component) {
         this.components.push(component);
         component.owner = this; // Ensure back-reference
+        this.componentCache.clear();
+        if (this.world) this.world.onComponentAdded(this, component);
+
+        component.isAttached = true;
+        component.onAttach();
+        if (component.enabled) component.onEnable();
+    }
+
+    /**
+     * Removes a component from the entity: disables, detaches and destroys it.
+     * @param {import('../components/BaseComponent.js').default} component - The component instance to remove.
+     */
+    removeComponent(component) {
+        const index = this.components.indexOf(component);
+        if (index === -1) return;
+        if (component.enabled) component.onDisable();
+        component.onDetach();
+        component.isAttached = false;
+
+        this.components.splice(index, 1);
+        this.componentCache.clear();
+        if (this.world) this.world.onComponentRemoved(this, component);
+        component.destroy();
     }
 
     /**
      * Finds and returns the first component of a given class type.
+     * Results are cached until a component is added or removed.
      * @template {import('../components/BaseComponent.js').default} T
      * @param {{new(...args: any[]): T}} ComponentClass - The class of the component to find (e.g., RenderComponent).
      * @returns {T|null} The component instance, or null if not found.
      */
     getComponent(ComponentClass) {
-        return this.components.find((c) => c instanceof ComponentClass) || null;
+        if (!this.componentCache.has(ComponentClass)) {
+            this.componentCache.set(
+                ComponentClass,
+                this.components.find((c) => c instanceof ComponentClass) || null,
+            );
+        }
+        return this.componentCache.get(ComponentClass);
+    }
+
+    /**
+     * Adds a tag to the entity.
+     * @param {string} tag - The tag, e.g. `'player'`.
+     * @returns {Entity} The entity, for chaining.
+     */
+    addTag(tag) {
+        this.tags.add(tag);
+        if (this.world) this.world.onTagAdded(this, tag);
+        return this;
+    }
+
+    /**
+     * Removes a tag from the entity.
+     * @param {string} tag - The tag.
+     * @returns {Entity} The entity, for chaining.
+     */
+    removeTag(tag) {
+        this.tags.delete(tag);
+        if (this.world) this.world.onTagRemoved(this, tag);
+        return this;
+    }
+
+    /**
+     * Checks if the entity has a tag.
+     * @param {string} tag - The tag.
+     * @returns {boolean}
+     */
+    hasTag(tag) {
+        return this.tags.has(tag);
+    }
+
+    /**
+     * Attaches another entity to this one. The child's sceneObject is parented into this entity's
+     * sceneObject, or into one of its descendants such as a bone of a loaded model, and keeps its
+     * local position, rotation and scale relative to it. A child already attached elsewhere is moved.
+     * @param {Entity} child - The entity to attach.
+     * @param {object} [options]
+     * @param {Object3D | string} [options.attachTo] - The object to parent the child into, or the name of a
+     *   descendant of this entity's sceneObject (e.g. the `'arm-right'` bone). Defaults to the sceneObject.
+     * @param {boolean} [options.keepWorldTransform=false] - Whether to keep the child where it is in the world
+     *   instead of keeping its local transform.
+     * @returns {Entity} This entity, for chaining.
+     * @example
+     * animation.ready.then(() => character.addChild(heldItem, { attachTo: 'arm-right' }));
+     */
+    addChild(child, { attachTo = this.sceneObject, keepWorldTransform = false } = {}) {
+        if (child === this || child.isAncestorOf(this)) {
+            console.error(`Entity ${this.id}: Cannot attach entity ${child.id}, it would become its own ancestor.`);
+            return this;
+        }
+
+        const attachPoint = typeof attachTo === 'string' ? this.sceneObject.getObjectByName(attachTo) : attachTo;
+        if (!attachPoint) {
+            console.warn(`Entity ${this.id}: Attach point "${attachTo}" not found, attaching ${child.id} to the sceneObject.`);
+        }
+
+        if (child.parent) child.parent.detachChild(child);
+        const target = attachPoint || this.sceneObject;
+        if (keepWorldTransform) {
+            target.attach(child.sceneObject);
+        } else {
+            target.add(child.sceneObject);
+        }
+
+        child.parent = this;
+        this.children.push(child);
+        if (child.world) child.world.onParentChanged(child);
+        return this;
+    }
+
+    /**
+     * Detaches a child entity, which becomes a top-level entity again. Its sceneObject goes back
+     * into the scene where it is in the world.
+     * @param {Entity} child - The child to detach.
+     * @returns {Entity} This entity, for chaining.
+     */
+    removeChild(child) {
+        if (child.parent !== this) return this;
+        this.detachChild(child);
+        if (this.scene) {
+            this.scene.attach(child.sceneObject);
+        } else {
+            child.sceneObject.removeFromParent();
+        }
+        if (child.world) child.world.onParentChanged(child);
+        return this;
+    }
+
+    /**
+     * Finds a descendant entity by name, depth first.
+     * @param {string} name - The name of the entity.
+     * @param {boolean} [recursive=true] - Whether to search the children of children too.
+     * @returns {Entity | null}
+     */
+    findChildByName(name, recursive = true) {
+        for (const child of this.children) {
+            if (child.name === name) return child;
+        }
+        if (!recursive) return null;
+        for (const child of this.children) {
+            const found = child.findChildByName(name, true);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Checks if an entity is a descendant of this one.
+     * @param {Entity} entity - The entity.
+     * @returns {boolean}
+     */
+    isAncestorOf(entity) {
+        for (let current = entity.parent; current; current = current.parent) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Forgets a child without moving its sceneObject.
+     * @private
+     * @param {Entity} child - The child.
+     */
+    detachChild(child) {
+        const index = this.children.indexOf(child);
+        if (index !== -1) this.children.splice(index, 1);
+        child.parent = null;
     }
 
     /**
      * Called every frame by the State that manages this entity.
-     * Delegates the update call to all its components.
+     * Delegates the update call to all its enabled components, then updates its children.
      * @param {number} deltaTime - The time elapsed since the last frame.
      */
     update(deltaTime) {
         for (const component of this.components) {
-            component.update(deltaTime);
+            if (component.enabled) component.update(deltaTime);
+        }
+        for (const child of this.children) {
+            child.update(deltaTime);
         }
     }
 
     /**
-     * Removes the entity's scene object and all its children from the scene.
-     * Disposes of geometries and materials that are not cached.
+     * Called once per rendered frame by the State that manages this entity.
+     * Delegates the interpolate call to all its enabled components, then interpolates its children.
+     * @param {number} alpha - How far the render time is between the previous and the current step, in [0, 1).
+     */
+    interpolate(alpha) {
+        for (const component of this.components) {
+            if (component.enabled) component.interpolate(alpha);
+        }
+        for (const child of this.children) {
+            child.interpolate(alpha);
+        }
+    }
+
+    /**
+     * Destroys the entity's children, then removes its scene object from the scene (or its parent)
+     * and unregisters it from its EntityWorld.
+     * Destroys its components, disposes of geometries and materials that are not cached, and removes
+     * every listener registered through `eventBus.scope(entity)` by the entity or its components.
      */
     destroy() {
-        // Recursively dispose of geometries and materials
-        this.sceneObject.traverse((object) => {
-            if (object.isMesh) {
-                if (object.geometry) {
-                    object.geometry.dispose();
-                }
-
-                const disposeMaterial = (material) => {
-                    if (material && material.isMaterial && !material.userData.isCachedMaterial) {
-                        // Dispose of textures associated with the material
-                        for (const key in material) {
-                            const value = material[key];
-                            if (value instanceof Texture) {
-                                value.dispose();
-                            }
-                        }
-                        material.dispose();
-                    }
-                };
-
-                if (object.material) {
-                    if (Array.isArray(object.material)) {
-                        object.material.forEach(disposeMaterial);
-                    } else {
-                        disposeMaterial(object.material);
-                    }
-                }
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+
+        // Copy, since each child detaches itself
+        [...this.children].forEach((child) => child.destroy());
+        if (this.parent) this.parent.detachChild(this);
+
+        if (this.world) {
+            this.world.remove(this);
+            this.world = null;
+        }
+        eventBus.clearScope(this);
+        for (const component of this.components) {
+            // A failing component must not keep the others from releasing their resources
+            try {
+                component.destroy();
+            } catch (error) {
+                console.error(`Entity ${this.id}: Error while destroying ${component.constructor.name}:`, error);
             }
-        });
-        // Ensure the scene exists before trying to remove from it
-        if (this.scene) {
-            this.scene.remove(this.sceneObject);
+            component.isAttached = false;
         }
+
+        // Recursively dispose of geometries and materials
+        disposeObject(this.sceneObject);
+        // The sceneObject is in the scene, or in its parent entity's
+        this.sceneObject.removeFromParent();
     }
 }
@@ -11,8 +11,15 @@ export default class Player {
         this.speed = 5;
 
         this.keys = {};
-        document.addEventListener('keydown', (e) => (this.keys[e.key] = true));
-        document.addEventListener('keyup', (e) => (this.keys[e.key] = false));
+        this.onKeyDown = (e) => (this.keys[e.key] = true);
+        this.onKeyUp = (e) => (this.keys[e.key] = false);
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+    }
+
+    dispose() {
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
     }
 
     update(deltaTime) {
@@ -0,0 +1,93 @@
+/**
+ * @file Maps the component names used in prefabs to the component classes.
+ * @module entities/componentRegistry
+ */
+
+import PhysicsComponent from '../components/PhysicsComponent.js';
+import ColliderComponent from '../components/ColliderComponent.js';
+import TriggerComponent from '../components/TriggerComponent.js';
+import PortalComponent from '../components/PortalComponent.js';
+import AnimationComponent from '../components/AnimationComponent.js';
+import AccessoryComponent from '../components/AccessoryComponent.js';
+import PlayerInputComponent from '../components/PlayerInputComponent.js';
+
+/**
+ * What a component factory receives besides the entity and the params.
+ * @typedef {object} ComponentContext
+ * @property {import('../core/Game.js').default} game - The main game instance.
+ * @property {import('three').Scene} scene - The scene the entity exists in.
+ * @property {import('../loaders/ObjectLoader.js').default} loader - The object loader, with its data loaded.
+ */
+
+/**
+ * Creates a component for an entity from the JSON params of a prefab, or returns null if the params are unusable.
+ * @callback ComponentFactory
+ * @param {import('./Entity.js').default} entity - The entity the component is for.
+ * @param {object} params - The component's params from the prefab, merged with the instance overrides.
+ * @param {ComponentContext} context
+ * @returns {import('../components/BaseComponent.js').default | null}
+ */
+
+/**
+ * The registered component factories, by name.
+ * @type {Map<string, ComponentFactory>}
+ */
+const factories = new Map();
+
+/**
+ * Makes a component available to prefabs under a name. The factory turns the JSON params
+ * into the component's constructor arguments.
+ * @param {string} name - The name used in prefabs, e.g. `'Collider'`.
+ * @param {ComponentFactory} factory
+ * @example
+ * registerComponent('Physics', (entity, { walkSpeed, runSpeed }) => new PhysicsComponent(entity, walkSpeed, runSpeed));
+ */
+export function registerComponent(name, factory) {
+    if (factories.has(name)) {
+        console.warn(`componentRegistry: Component "${name}" is already registered and will be replaced.`);
+    }
+    factories.set(name, factory);
+}
+
+/**
+ * Checks if a component name is registered.
+ * @param {string} name - The component name.
+ * @returns {boolean}
+ */
+export function isComponentRegistered(name) {
+    return factories.has(name);
+}
+
+/**
+ * Creates a registered component.
+ * @param {string} name - The component name.
+ * @param {import('./Entity.js').default} entity - The entity the component is for.
+ * @param {object} [params={}] - The component's params.
+ * @param {ComponentContext} context
+ * @returns {import('../components/BaseComponent.js').default | null} The component, or null if the name is
+ * unknown or the params are unusable.
+ */
+export function createComponent(name, entity, params = {}, context) {
+    const factory = factories.get(name);
+    if (!factory) {
+        console.error(`componentRegistry: Unknown component "${name}".`);
+        return null;
+    }
+    return factory(entity, params, context);
+}
+
+registerComponent('Physics', (entity, { walkSpeed, runSpeed }) => new PhysicsComponent(entity, walkSpeed, runSpeed));
+registerComponent('Collider', (entity, params) => new ColliderComponent(entity, params));
+registerComponent('Trigger', (entity, params) => new TriggerComponent(entity, params));
+registerComponent('Portal', (entity, params) => new PortalComponent(entity, params));
+registerComponent('PlayerInput', (entity) => new PlayerInputComponent(entity));
+registerComponent('Accessory', (entity, { accessories = [] }, { loader }) => new AccessoryComponent(entity, accessories, loader));
+// Either the name of a model in animations.json, or a path and animation list of its own
+registerComponent('Animation', (entity, { model, path, animations = [] }, { scene, loader }) => {
+    const animationData = model ? loader.getAnimationData(model) : { path, animations };
+    if (!animationData || !animationData.path) {
+        console.error(`componentRegistry: No animation data for Animation component (model: ${model}, path: ${path}).`);
+        return null;
+    }
+    return new AnimationComponent(entity, scene, animationData);
+});
@@ -10,6 +10,11 @@ import PlayerInputComponent from '../components/PlayerInputComponent.js';
 import PhysicsComponent from '../components/PhysicsComponent.js';
 import PortalComponent from '../components/PortalComponent.js';
 import AnimationComponent from '../components/AnimationComponent.js';
+import ColliderComponent from '../components/ColliderComponent.js';
+import TriggerComponent from '../components/TriggerComponent.js';
+import AccessoryComponent from '../components/AccessoryComponent.js';
+import { getObjectType } from '../utils/objectTypes.js';
+import { createComponent } from './componentRegistry.js';
 // Removed GLTFLoader import as it will be handled by ObjectLoader
 
 /**
@@ -18,31 +23,45 @@ import AnimationComponent from '../components/AnimationComponent.js';
  * @param {THREE.Scene} scene - The scene where the player will exist.
  * @param {THREE.Vector3} position - The initial position of the player.
  * @param {object} animationData - The data for the animation component.
+ * @param {number} [rotationY=0] - The direction the player initially faces, in radians around the Y axis.
+ * @param {string[]} [accessories=[]] - The accessories attached to the character, e.g. `['aid-glasses']`.
+ * Their properties data must already be loaded.
  * @returns {Entity}
  */
-export function createPlayer(game, scene, position, animationData) {
+export function createPlayer(game, scene, position, animationData, rotationY = 0, accessories = []) {
     const player = new Entity(game, scene);
+    player.addTag('player');
 
     player.sceneObject.position.copy(position);
+    player.sceneObject.rotation.y = rotationY;
 
-    player.addComponent(new PhysicsComponent(player, 5));
+    player.addComponent(new PhysicsComponent(player, 5, 9));
+    player.addComponent(new ColliderComponent(player, { shape: 'capsule', radius: 0.3, height: 1.8 }));
     player.addComponent(new PlayerInputComponent(player));
     player.addComponent(new AnimationComponent(player, scene, animationData));
+    if (accessories.length > 0) {
+        player.addComponent(new AccessoryComponent(player, accessories, game.loader));
+    }
 
     return player;
 }
 
 /**
- * Creates a portal entity.
+ * Creates a portal entity from its world data, e.g.
+ * `{ "type": "portal", "position": {...}, "targetState": "CustomWorld", "targetWorld": "arcade", "spawnPoint": "from-hub" }`.
  * @param {import('../core/Game.js').default} game - The main game instance.
  * @param {THREE.Scene} scene - The scene where the portal will exist.
- * @param {THREE.Vector3} position - The position of the portal.
- * @param {string} targetState - The name of the state the portal leads to.
- * @param {Entity} playerEntity - The player entity to check for collision.
+ * @param {object} portalData - The portal's world data.
+ * @param {{x: number, y: number, z: number}} portalData.position - The position of the portal.
+ * @param {string} portalData.targetState - The name of the state the portal leads to.
+ * @param {string} [portalData.targetWorld] - The world the target state loads.
+ * @param {string} [portalData.spawnPoint] - The spawn point the player arrives at.
+ * @param {number} [portalData.radius=2] - How close the player must get to the portal's center to use it.
+ * @param {string} [portalData.id] - The portal's persistent entity ID.
  * @returns {Entity}
  */
-export function createPortal(game, scene, position, targetState, playerEntity) {
-    const portal = new Entity(game, scene);
+export function createPortal(game, scene, portalData) {
+    const portal = new Entity(game, scene, portalData.id);
 
     const geometry = new THREE.CylinderGeometry(1, 1, 0.2, 32);
     const material = new THREE.MeshStandardMaterial({
@@ -52,11 +71,11 @@ export function createPortal(game, scene, position, targetState, playerEntity) {
     });
     portal.addComponent(new RenderComponent(portal, geometry, material));
 
-    portal.sceneObject.position.copy(position);
+    const { x = 0, y = 0, z = 0 } = portalData.position || {};
+    portal.sceneObject.position.set(x, y, z);
 
-    portal.addComponent(
-        new PortalComponent(portal, targetState, playerEntity, 2.0),
-    );
+    portal.addComponent(new TriggerComponent(portal, { radius: portalData.radius || 2, name: 'portal' }));
+    portal.addComponent(new PortalComponent(portal, portalData));
 
     return portal;
 }
@@ -75,11 +94,14 @@ export function createPortal(game, scene, position, targetState, playerEntity) {
  * @param {object} [objectData.position] - The initial position {x, y, z}.
  * @param {object} [objectData.rotation] - The initial rotation {x, y, z}.
  * @param {object} [objectData.scale] - The initial scale {x, y, z}.
+ * @param {string} [objectData.id] - The object's persistent entity ID.
+ * @param {object} [objectData.trigger] - Options for a TriggerComponent (shape, radius, size, offset, tags, name, data, emitStay),
+ *   e.g. `{ "shape": "box", "size": { "x": 1, "y": 1, "z": 1 }, "name": "pressure-plate" }`.
  * @param {import('../loaders/ObjectLoader.js').default} loader - The object loader instance.
  * @returns {Promise<Entity>} A promise that resolves with the created Entity.
  */
 export async function createStaticObject(game, scene, objectData, loader) {
-    const entity = new Entity(game, scene);
+    const entity = new Entity(game, scene, objectData.id);
     // const gltfLoader = new GLTFLoader(); // REMOVED: Use loader.getOrCreateGLTF instead
 
     const correctedModelPath = objectData.path;
@@ -88,50 +110,18 @@ export async function createStaticObject(game, scene, objectData, loader) {
     const properties = loader.getPropertiesData(modelName);
     const animationData = loader.getAnimationData(modelName);
 
-    // Use the provided loader to get the GLTF model
-    const model = await loader.getOrCreateGLTF(correctedModelPath);
-
-    // if (scene) { // REMOVED: Model should only be added to entity.sceneObject
-    //     scene.add(model);
-    // }
-    entity.sceneObject.add(model); // Correct: Add model to entity's sceneObject
-
+    await addModel(entity, correctedModelPath, loader);
     entity.sceneObject.userData.model = modelName;
-    model.userData.entity = entity;
+    applyTransform(entity, objectData);
 
-    if (objectData.position) {
-        entity.sceneObject.position.set(
-            objectData.position.x,
-            objectData.position.y,
-            objectData.position.z,
-        );
-    }
-    if (objectData.rotation) {
-        entity.sceneObject.rotation.set(
-            objectData.rotation.x,
-            objectData.rotation.y,
-            objectData.rotation.z,
-        );
-    }
-    if (objectData.scale) {
-        entity.sceneObject.scale.set(
-            objectData.scale.x,
-            objectData.scale.y,
-            objectData.scale.z,
-        );
+    const collision = getCollisionSettings(correctedModelPath, properties);
+    if (collision) {
+        entity.addComponent(new ColliderComponent(entity, collision));
     }
 
-    model.traverse((c) => {
-        if (c.isMesh) {
-            c.castShadow = true;
-            c.receiveShadow = true;
-
-            // Use the ObjectLoader's material cache
-            if (!(c.material instanceof THREE.MeshStandardMaterial)) {
-                c.material = loader.getOrCreateStandardMaterial(c.material);
-            }
-        }
-    });
+    if (objectData.trigger) {
+        entity.addComponent(new TriggerComponent(entity, objectData.trigger));
+    }
 
     if (animationData) {
         const animComponent = new AnimationComponent(entity, scene, {
@@ -189,7 +179,158 @@ export async function createStaticObject(game, scene, objectData, loader) {
     if (properties && properties.interactionId) {
         entity.sceneObject.userData.interactionId = properties.interactionId;
         entity.sceneObject.userData.interactionData = properties.interactionData || {};
+        entity.addTag('interactable');
+    }
+
+    return entity;
+}
+
+/**
+ * Creates an entity from a prefab of the manifest, e.g. for the world object
+ * `{ "type": "prefab", "prefab": "employee", "position": {...}, "components": { "Animation": { "model": "character-gamer" } } }`.
+ * A prefab lists the components to add, in order, by their name in the component registry:
+ * `{ "path": "...glb", "model": "...", "tags": ["npc"], "interactionId": "...", "components": [{ "type": "Collider", "params": {...} }] }`.
+ * Its optional static model (`path`) is loaded first, so box colliders can be sized from it; `model` names
+ * its entry in animations.json and properties.json, like for static objects.
+ * The instance can set its `id`, transform, `name`, extra `tags` and `interactionId`/`interactionData`, and
+ * override the params of each component type, merged into the prefab's.
+ * @param {import('../core/Game.js').default} game - The main game instance.
+ * @param {THREE.Scene} scene - The scene where the entity will exist.
+ * @param {object} objectData - The instance's world data.
+ * @param {string} objectData.prefab - The name of the prefab in the manifest.
+ * @param {import('../loaders/ObjectLoader.js').default} loader - The object loader instance, with the manifest loaded.
+ * @returns {Promise<Entity | null>} The entity, or null if the prefab does not exist.
+ */
+export async function createPrefab(game, scene, objectData, loader) {
+    const prefab = loader.getObjectTemplate(objectData.prefab);
+    if (!prefab) {
+        console.error(`createPrefab: Unknown prefab "${objectData.prefab}".`);
+        return null;
+    }
+
+    const entity = new Entity(game, scene, objectData.id);
+    entity.name = objectData.name || objectData.prefab;
+    [...(prefab.tags || []), ...(objectData.tags || [])].forEach((tag) => entity.addTag(tag));
+
+    if (prefab.path) {
+        await addModel(entity, prefab.path, loader);
+    }
+    if (prefab.model) {
+        entity.sceneObject.userData.model = prefab.model;
+    }
+    applyTransform(entity, objectData);
+
+    const interactionId = objectData.interactionId || prefab.interactionId;
+    if (interactionId) {
+        entity.sceneObject.userData.interactionId = interactionId;
+        entity.sceneObject.userData.interactionData = mergeParams(prefab.interactionData, objectData.interactionData);
+        entity.addTag('interactable');
+    }
+
+    const overrides = objectData.components || {};
+    for (const type in overrides) {
+        if (!(prefab.components || []).some((component) => component.type === type)) {
+            console.warn(`createPrefab: Prefab "${objectData.prefab}" has no ${type} component to override.`);
+        }
+    }
+    const context = { game, scene, loader };
+    for (const { type, params } of prefab.components || []) {
+        const component = createComponent(type, entity, mergeParams(params, overrides[type]), context);
+        if (component) {
+            entity.addComponent(component);
+        }
     }
 
     return entity;
 }
+
+/**
+ * Loads a GLB model into an entity's sceneObject, with its materials taken from the loader's cache.
+ * @param {Entity} entity - The entity.
+ * @param {string} modelPath - The path to the GLB model.
+ * @param {import('../loaders/ObjectLoader.js').default} loader - The object loader instance.
+ * @returns {Promise<THREE.Object3D>} The added model.
+ */
+async function addModel(entity, modelPath, loader) {
+    // Use the provided loader to get the GLTF model
+    const model = await loader.getOrCreateGLTF(modelPath);
+    entity.sceneObject.add(model);
+    model.userData.entity = entity;
+
+    model.traverse((c) => {
+        if (c.isMesh) {
+            c.castShadow = true;
+            c.receiveShadow = true;
+
+            // Use the ObjectLoader's material cache
+            if (!(c.material instanceof THREE.MeshStandardMaterial)) {
+                c.material = loader.getOrCreateStandardMaterial(c.material);
+            }
+        }
+    });
+    return model;
+}
+
+/**
+ * Sets an entity's position, rotation and scale from world data, where present.
+ * @param {Entity} entity - The entity.
+ * @param {{position?: object, rotation?: object, scale?: object}} objectData - The world data.
+ */
+function applyTransform(entity, objectData) {
+    if (objectData.position) {
+        entity.sceneObject.position.set(
+            objectData.position.x,
+            objectData.position.y,
+            objectData.position.z,
+        );
+    }
+    if (objectData.rotation) {
+        entity.sceneObject.rotation.set(
+            objectData.rotation.x,
+            objectData.rotation.y,
+            objectData.rotation.z,
+        );
+    }
+    if (objectData.scale) {
+        entity.sceneObject.scale.set(
+            objectData.scale.x,
+            objectData.scale.y,
+            objectData.scale.z,
+        );
+    }
+}
+
+/**
+ * Merges instance overrides into a prefab's params. Nested objects (e.g. a trigger's `size`)
+ * are merged key by key; arrays and other values are replaced.
+ * @param {object} [params={}] - The prefab's params.
+ * @param {object} [overrides={}] - The instance's overrides.
+ * @returns {object} A new object; neither argument is modified.
+ */
+function mergeParams(params = {}, overrides = {}) {
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const merged = { ...params };
+    for (const key in overrides) {
+        const value = overrides[key];
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+            ? mergeParams(merged[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Returns the collider options of a static object. Floors are ground, walls and props
+ * are solid boxes. A model's `collision` entry in properties.json overrides the defaults,
+ * e.g. `{ "padding": 0.1 }` to shrink its box, or `false` to disable collision.
+ * @param {string} modelPath - The path to the GLB model.
+ * @param {object} [properties] - The model's entry in properties.json.
+ * @returns {object | null} Options for a ColliderComponent, or null for no collider.
+ */
+function getCollisionSettings(modelPath, properties) {
+    if (properties && properties.collision === false) {
+        return null;
+    }
+    const defaults = { shape: 'box', isGround: getObjectType(modelPath) === 'floor' };
+    return { ...defaults, ...(properties && properties.collision) };
+}
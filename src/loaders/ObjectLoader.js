@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'; // Adicionado: Importar GLTFLoader
+import { eventBus, Events } from '../core/EventBus.js';
 
 /**
  * ObjectLoader is responsible for loading asset definitions from manifest files.
@@ -12,6 +13,12 @@ export default class ObjectLoader {
         this.objectTemplates = new Map();
         this.animationData = new Map();
         this.propertiesData = new Map();
+        /**
+         * The model names of each category of animations.json and properties.json,
+         * e.g. `'characters'` or `'aids'`.
+         * @type {Map<string, Set<string>>}
+         */
+        this.modelCategories = new Map();
         /**
          * Cache for processed THREE.MeshStandardMaterial instances.
          * Stores materials keyed by a unique identifier derived from their properties,
@@ -27,16 +34,70 @@ export default class ObjectLoader {
          * @type {Map<string, THREE.Group>}
          */
         this.gltfCache = new Map();
+        /**
+         * Counters for the current batch of loads, reported through the
+         * 'loading-progress' event. A new batch starts with `beginBatch`, or outside
+         * of one once all loads have finished.
+         * @type {{loaded: number, total: number}}
+         */
+        this.progress = { loaded: 0, total: 0 };
+        /**
+         * Whether a batch started with `beginBatch` is open, so the counters keep adding up
+         * across loads that are awaited one after the other.
+         * @type {boolean}
+         */
+        this.isBatchOpen = false;
+    }
+
+    /**
+     * Starts counting the loads of a state transition as one batch, so the progress covers
+     * every file loaded by `enter()` instead of starting over after each awaited load.
+     */
+    beginBatch() {
+        this.progress.loaded = 0;
+        this.progress.total = 0;
+        this.isBatchOpen = true;
+    }
+
+    /**
+     * Ends the batch started with `beginBatch`.
+     */
+    endBatch() {
+        this.isBatchOpen = false;
+    }
+
+    /**
+     * Tracks a pending load and emits 'loading-progress' when it starts and settles.
+     * @template T
+     * @param {string} url - The resource being loaded.
+     * @param {Promise<T>} promise - The load promise.
+     * @returns {Promise<T>} The same promise.
+     */
+    _trackLoad(url, promise) {
+        if (!this.isBatchOpen && this.progress.loaded === this.progress.total) {
+            this.progress.loaded = 0;
+            this.progress.total = 0;
+        }
+        this.progress.total++;
+        eventBus.emit(Events.LOADING_PROGRESS, { url, ...this.progress });
+
+        const settle = () => {
+            this.progress.loaded++;
+            eventBus.emit(Events.LOADING_PROGRESS, { url, ...this.progress });
+        };
+        promise.then(settle, settle);
+        return promise;
     }
 
     /**
      * Loads the main asset manifest file. This file contains the templates
-     * for all reusable objects in the game.
+     * for all reusable objects in the game: the prefabs under `objects`, which
+     * `createPrefab` in factories.js turns into entities.
      * @param {string} path - The path to the manifest.json file.
      */
     async loadManifest(path) {
         try {
-            const response = await fetch(path);
+            const response = await this._trackLoad(path, fetch(`${path}?v=${Date.now()}`, { cache: 'no-store' }));
             const manifest = await response.json();
             for (const key in manifest.objects) {
                 this.objectTemplates.set(key, manifest.objects[key]);
@@ -52,11 +113,12 @@ export default class ObjectLoader {
      */
     async loadAnimationData(path) {
         try {
-            const response = await fetch(`${path}?v=${Date.now()}`, { cache: 'no-store' });
+            const response = await this._trackLoad(path, fetch(`${path}?v=${Date.now()}`, { cache: 'no-store' }));
             const animationFile = await response.json();
             for (const category in animationFile) {
                 for (const key in animationFile[category]) {
                     this.animationData.set(key, animationFile[category][key]);
+                    this._addToCategory(category, key);
                 }
             }
         } catch (error) {
@@ -70,11 +132,12 @@ export default class ObjectLoader {
      */
     async loadPropertiesData(path) {
         try {
-            const response = await fetch(`${path}?v=${Date.now()}`, { cache: 'no-store' });
+            const response = await this._trackLoad(path, fetch(`${path}?v=${Date.now()}`, { cache: 'no-store' }));
             const propertiesFile = await response.json();
             for (const category in propertiesFile) {
                 for (const key in propertiesFile[category]) {
                     this.propertiesData.set(key, propertiesFile[category][key]);
+                    this._addToCategory(category, key);
                 }
             }
         } catch (error) {
@@ -83,8 +146,8 @@ export default class ObjectLoader {
     }
 
     /**
-     * Retrieves a pre-loaded object template.
-     * @param {string} type - The type of the object (e.g., "player").
+     * Retrieves a pre-loaded object template (prefab).
+     * @param {string} type - The name of the prefab (e.g., "greeter").
      * @returns {object | undefined} The object template.
      */
     getObjectTemplate(type) {
@@ -109,6 +172,27 @@ export default class ObjectLoader {
         return this.propertiesData.get(name);
     }
 
+    /**
+     * Returns the names of the models listed under a category of the loaded animation and properties data.
+     * @param {string} category - The category (e.g., "characters").
+     * @returns {string[]} The model names, in file order.
+     */
+    getModelNames(category) {
+        return [...(this.modelCategories.get(category) || [])];
+    }
+
+    /**
+     * Records that a model is listed under a category.
+     * @param {string} category - The category name.
+     * @param {string} name - The model name.
+     */
+    _addToCategory(category, name) {
+        if (!this.modelCategories.has(category)) {
+            this.modelCategories.set(category, new Set());
+        }
+        this.modelCategories.get(category).add(name);
+    }
+
     /**
      * Generates a unique key for a material based on its properties.
      * This key is used for caching MeshStandardMaterials to ensure reuse.
@@ -199,7 +283,7 @@ export default class ObjectLoader {
         }
 
         const gltfLoader = new GLTFLoader();
-        const gltf = await gltfLoader.loadAsync(path);
+        const gltf = await this._trackLoad(path, gltfLoader.loadAsync(path));
         const model = gltf.scene;
 
         this.gltfCache.set(path, model);
@@ -214,7 +298,8 @@ export default class ObjectLoader {
      */
     async loadWorldData(worldName) {
         try {
-            const response = await fetch(`/public/worlds/${worldName}.json?v=${Date.now()}`, { cache: 'no-store' });
+            const url = `/public/worlds/${worldName}.json`;
+            const response = await this._trackLoad(url, fetch(`${url}?v=${Date.now()}`, { cache: 'no-store' }));
             return await response.json();
         } catch (error) {
             console.error(`Error loading world data for ${worldName}:`, error);
@@ -278,5 +363,6 @@ export default class ObjectLoader {
         this.objectTemplates.clear();
         this.animationData.clear();
         this.propertiesData.clear();
+        this.modelCategories.clear();
     }
 }
@@ -3,6 +3,15 @@ import HubWorldState from './states/HubWorldState.js';
 import MiniGame1State from './states/MiniGame1State.js';
 import EditorState from './states/EditorState.js';
 import CustomWorldState from './states/CustomWorldState.js';
+import PauseMenuState from './states/PauseMenuState.js';
+import ControlsSettingsState from './states/ControlsSettingsState.js';
+import CharacterSelectState from './states/CharacterSelectState.js';
+import LegacyWorldState from './states/LegacyWorldState.js';
+import LegacyHubWorld from './worlds/HubWorld.js';
+import Game1World from './worlds/Game1World.js';
+import EventInspector from './core/EventInspector.js';
+import { inputHandler } from './core/InputHandler.js';
+import { navigationDebug } from './core/NavigationDebugOverlay.js';
 
 // 1. Initialize the main game engine
 const game = new Game();
@@ -12,19 +21,29 @@ const hubWorld = new HubWorldState(game);
 const miniGame1 = new MiniGame1State(game);
 const editor = new EditorState(game);
 const customWorld = new CustomWorldState(game);
+const pauseMenu = new PauseMenuState(game);
+const controlsSettings = new ControlsSettingsState(game);
+const characterSelect = new CharacterSelectState(game);
+const legacyHub = new LegacyWorldState(game, LegacyHubWorld);
+const game1 = new LegacyWorldState(game, Game1World);
 
 // 3. Add the states to the state manager
 game.stateManager.addState('HubWorld', hubWorld);
 game.stateManager.addState('MiniGame1', miniGame1);
 game.stateManager.addState('Editor', editor);
 game.stateManager.addState('CustomWorld', customWorld);
+game.stateManager.addState('PauseMenu', pauseMenu);
+game.stateManager.addState('ControlsSettings', controlsSettings);
+game.stateManager.addState('CharacterSelect', characterSelect);
+game.stateManager.addState('LegacyHub', legacyHub);
+game.stateManager.addState('Game1', game1);
 
 // 4. Set the initial state to start the game
 game.stateManager.setState('HubWorld');
 
-// 5. Add a key listener to switch to the editor
+// 5. Add a key listener for the 'openEditor' action to switch to the editor
 window.addEventListener('keydown', (e) => {
-    if (e.ctrlKey && e.key === 'e') {
+    if (inputHandler.matchesAction(e, 'openEditor')) {
         e.preventDefault();
         const currentState = game.stateManager.currentState;
         if (currentState instanceof EditorState) {
@@ -40,3 +59,27 @@ window.addEventListener('keydown', (e) => {
         }
     }
 });
+
+// 6. Open the pause menu on top of playable worlds with the 'pause' action
+window.addEventListener('keydown', (e) => {
+    if (!inputHandler.matchesAction(e, 'pause')) return;
+    const { activeState } = game.stateManager;
+    if (activeState instanceof HubWorldState || activeState instanceof CustomWorldState) {
+        game.stateManager.pushState('PauseMenu');
+    }
+});
+
+// 7. In development builds, toggle the EventBus inspector with F9
+// and the navigation grid overlay with F8
+if (import.meta.env.DEV) {
+    const eventInspector = new EventInspector();
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'F9') {
+            e.preventDefault();
+            eventInspector.toggle();
+        } else if (e.key === 'F8') {
+            e.preventDefault();
+            navigationDebug.toggle();
+        }
+    });
+}
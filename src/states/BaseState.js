@@ -4,6 +4,8 @@
  */
 
 import { Scene, Camera } from 'three';
+import { eventBus } from '../core/EventBus.js';
+import EntityWorld from '../core/EntityWorld.js';
 
 /**
  * Base class (or "interface") for all game states (HubWorld, MiniGame, etc.).
@@ -29,30 +31,90 @@ export default class BaseState {
          * @type {Camera|null}
          */
         this.camera = null;
+        /**
+         * When this state is pushed on top of another, whether the states below it
+         * stop receiving updates. They keep rendering either way.
+         * @type {boolean}
+         */
+        this.suspendsStatesBelow = true;
+    }
+
+    /**
+     * Whether this state is the top of the state stack and should react to input.
+     * Useful for guarding raw DOM listeners that bypass the InputHandler.
+     * @returns {boolean}
+     */
+    hasInputFocus() {
+        return this.game.stateManager.activeState === this;
+    }
+
+    /**
+     * Returns the params that enter this state again as it is now, e.g. to come back to it
+     * after a screen that replaced it, such as the character selection.
+     * @returns {object} Parameters for `enter()`.
+     */
+    getReturnParams() {
+        return {};
+    }
+
+    /**
+     * Returns the entity of this state's scene with an ID, e.g. one referenced by `targetId` in interaction data.
+     * @param {string} id - The entity ID, as saved in the world file.
+     * @returns {import('../entities/Entity.js').default | null} The entity, or null if there is none.
+     */
+    getEntityById(id) {
+        return this.scene ? EntityWorld.forScene(this.scene).getById(id) : null;
     }
 
     /**
      * Called by the StateManager when this state becomes active.
      * Ideal for setting up the scene, camera, lights, and instantiating entities.
+     * @param {object} [params={}] - Parameters passed through `StateManager.setState`.
      */
-    enter() {
+    enter(params = {}) {
         // To be implemented by subclasses
     }
 
     /**
      * Called by the StateManager before switching to a new state.
      * Ideal for cleaning up the scene, removing state-specific event listeners, etc.
+     * Subclasses should call `super.exit()` so that every listener registered through
+     * `eventBus.scope(this)` is removed.
      */
     exit() {
+        eventBus.clearScope(this);
+    }
+
+    /**
+     * Called by the StateManager when another state is pushed on top of this one.
+     */
+    pause() {
+        // To be implemented by subclasses
+    }
+
+    /**
+     * Called by the StateManager when the state above this one is popped.
+     */
+    resume() {
         // To be implemented by subclasses
     }
 
     /**
-     * Called every frame by the StateManager.
+     * Called every simulation step by the StateManager.
      * Ideal for updating all entities and state-specific logic.
-     * @param {number} deltaTime - The time elapsed since the last frame.
+     * While the time scale is 0, overlay states are instead called once per frame with the real frame duration.
+     * @param {number} deltaTime - The fixed, time-scaled step duration in seconds.
      */
     update(deltaTime) {
         // To be implemented by subclasses
     }
+
+    /**
+     * Called once per rendered frame by the StateManager, after the fixed simulation steps.
+     * Ideal for interpolating entity transforms and updating the camera.
+     * @param {number} alpha - How far the render time is between the previous and the current step, in [0, 1).
+     */
+    interpolate(alpha) {
+        // To be implemented by subclasses
+    }
 }
@@ -0,0 +1,344 @@
+/**
+ * @file Defines the character selection screen.
+ * @module states/CharacterSelectState
+ */
+
+import * as THREE from 'three';
+import BaseState from './BaseState.js';
+import Entity from '../entities/Entity.js';
+import AnimationComponent from '../components/AnimationComponent.js';
+import AccessoryComponent from '../components/AccessoryComponent.js';
+import ObjectLoader from '../loaders/ObjectLoader.js';
+import { inputHandler } from '../core/InputHandler.js';
+import { avatarSettings, DEFAULT_CHARACTER } from '../core/AvatarSettings.js';
+
+/**
+ * How fast the preview turns, in radians per second.
+ * @type {number}
+ */
+const PREVIEW_TURN_SPEED = 0.6;
+
+/**
+ * A screen previewing each character model of the "characters" category of animations.json
+ * with its idle animation, along with the accessories of the "aids" category of properties.json.
+ * The choice is saved to the AvatarSettings on confirmation, and the state returns to the world
+ * it was opened from. Usually opened from the pause menu.
+ * @extends BaseState
+ */
+export default class CharacterSelectState extends BaseState {
+    /**
+     * @param {import('../core/Game.js').default} game - The main game instance.
+     */
+    constructor(game) {
+        super(game);
+        /** @type {string[]} The selectable character models. */
+        this.characters = [];
+        /** @type {string[]} The selectable accessories. */
+        this.accessories = [];
+        /** @type {number} Index of the previewed character in `characters`. */
+        this.characterIndex = 0;
+        /** @type {Set<string>} The accessories worn by the preview. */
+        this.selectedAccessories = new Set();
+        /** @type {Entity | null} The previewed character. */
+        this.preview = null;
+        /** @type {string} The state entered when the screen is closed. */
+        this.returnState = 'HubWorld';
+        /** @type {object} The params `returnState` is entered with. */
+        this.returnParams = {};
+        /** @type {HTMLDivElement | null} Reference to the panel element. */
+        this.panelUI = null;
+        /** @type {Function} Bound keydown event handler. */
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        if (!this.game.loader) {
+            this.game.loader = new ObjectLoader();
+        }
+    }
+
+    /**
+     * Builds the preview scene and the selection panel.
+     * @param {object} [params={}] - Parameters passed from the previous state.
+     * @param {string} [params.returnState='HubWorld'] - The state entered when the screen is closed.
+     * @param {object} [params.returnParams={}] - The params the return state is entered with,
+     *   e.g. from its `getReturnParams()`.
+     */
+    async enter(params = {}) {
+        this.returnState = params.returnState || 'HubWorld';
+        this.returnParams = params.returnParams || {};
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x282c34);
+
+        this.camera = new THREE.PerspectiveCamera(35, window.innerWidth / window.innerHeight, 0.1, 100);
+        this.camera.position.set(0, 0.6, 2.4);
+        this.camera.lookAt(0, 0.4, 0);
+
+        this.scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 1.2));
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+        directionalLight.position.set(2, 4, 3);
+        this.scene.add(directionalLight);
+
+        await this.game.loader.loadAnimationData('assets/animations.json');
+        await this.game.loader.loadPropertiesData('assets/properties.json');
+        this.characters = this.game.loader.getModelNames('characters');
+        this.accessories = this.game.loader.getModelNames('aids')
+            .filter((name) => this.game.loader.getPropertiesData(name).attachment);
+
+        const savedIndex = this.characters.indexOf(avatarSettings.character);
+        this.characterIndex = savedIndex !== -1 ? savedIndex : Math.max(this.characters.indexOf(DEFAULT_CHARACTER), 0);
+        this.selectedAccessories = new Set(
+            avatarSettings.accessories.filter((name) => this.accessories.includes(name)),
+        );
+
+        this.createPanel();
+        this.updatePreview();
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Creates the selection panel at the bottom of the screen.
+     * @private
+     */
+    createPanel() {
+        this.panelUI = document.createElement('div');
+        this.panelUI.id = 'character-select';
+        Object.assign(this.panelUI.style, {
+            position: 'absolute',
+            bottom: '20px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            padding: '20px',
+            borderRadius: '10px',
+            color: 'white',
+            zIndex: '1000',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '10px',
+            minWidth: '320px',
+        });
+        document.body.appendChild(this.panelUI);
+        this.renderPanel();
+    }
+
+    /**
+     * Rebuilds the panel for the previewed character.
+     * @private
+     */
+    renderPanel() {
+        this.panelUI.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Choose Your Character';
+        title.style.margin = '0 0 10px 0';
+        this.panelUI.appendChild(title);
+
+        const characterRow = document.createElement('div');
+        Object.assign(characterRow.style, { display: 'flex', alignItems: 'center', gap: '10px' });
+        characterRow.appendChild(this.createButton('◀', () => this.selectCharacter(this.characterIndex - 1)));
+        const name = document.createElement('span');
+        name.textContent = this.formatName(this.characters[this.characterIndex] || '');
+        Object.assign(name.style, { flex: '1', textAlign: 'center' });
+        characterRow.appendChild(name);
+        characterRow.appendChild(this.createButton('▶', () => this.selectCharacter(this.characterIndex + 1)));
+        this.panelUI.appendChild(characterRow);
+
+        if (this.accessories.length > 0) {
+            const accessoriesTitle = document.createElement('span');
+            accessoriesTitle.textContent = 'Accessories';
+            accessoriesTitle.style.fontWeight = 'bold';
+            this.panelUI.appendChild(accessoriesTitle);
+
+            const accessoriesGrid = document.createElement('div');
+            Object.assign(accessoriesGrid.style, {
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: '4px 10px',
+            });
+            for (const accessory of this.accessories) {
+                const label = document.createElement('label');
+                Object.assign(label.style, { display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' });
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.selectedAccessories.has(accessory);
+                checkbox.addEventListener('change', () => this.toggleAccessory(accessory, checkbox.checked));
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(this.formatName(accessory)));
+                accessoriesGrid.appendChild(label);
+            }
+            this.panelUI.appendChild(accessoriesGrid);
+        }
+
+        const actionsRow = document.createElement('div');
+        Object.assign(actionsRow.style, { display: 'flex', gap: '10px', justifyContent: 'flex-end' });
+        actionsRow.appendChild(this.createButton('Cancel', () => this.close()));
+        actionsRow.appendChild(this.createButton('Confirm', () => this.confirm()));
+        this.panelUI.appendChild(actionsRow);
+    }
+
+    /**
+     * Creates a styled panel button.
+     * @param {string} label - The button text.
+     * @param {Function} onClick - The click handler.
+     * @returns {HTMLButtonElement}
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        Object.assign(button.style, {
+            padding: '10px 15px',
+            backgroundColor: '#61dafb',
+            color: '#282c34',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer',
+            fontSize: '1em',
+        });
+        button.onclick = onClick;
+        return button;
+    }
+
+    /**
+     * Returns the text shown for a model name, e.g. 'Female A' for 'character-female-a'.
+     * @private
+     * @param {string} name - The model name.
+     * @returns {string}
+     */
+    formatName(name) {
+        return name
+            .replace(/^(character|aid)[-_]/, '')
+            .split(/[-_]/)
+            .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Previews another character. Wraps around at both ends of the list.
+     * @param {number} index - The index of the character in `characters`.
+     */
+    selectCharacter(index) {
+        if (this.characters.length === 0) return;
+        this.characterIndex = (index + this.characters.length) % this.characters.length;
+        this.renderPanel();
+        this.updatePreview();
+    }
+
+    /**
+     * Puts an accessory on the preview or takes it off.
+     * @param {string} name - The name of the accessory.
+     * @param {boolean} worn - Whether the accessory is worn.
+     */
+    toggleAccessory(name, worn) {
+        if (worn) {
+            this.selectedAccessories.add(name);
+        } else {
+            this.selectedAccessories.delete(name);
+        }
+        this.updatePreview();
+    }
+
+    /**
+     * Replaces the preview with the selected character and accessories, keeping its facing.
+     * @private
+     */
+    updatePreview() {
+        const rotationY = this.preview ? this.preview.sceneObject.rotation.y : 0;
+        this.removePreview();
+
+        const animationData = this.game.loader.getAnimationData(this.characters[this.characterIndex]);
+        if (!animationData) return;
+
+        this.preview = new Entity(this.game, this.scene);
+        this.preview.sceneObject.rotation.y = rotationY;
+        // The idle animation is enabled in animations.json, so it plays as soon as the model is loaded
+        this.preview.addComponent(new AnimationComponent(this.preview, this.scene, animationData));
+        if (this.selectedAccessories.size > 0) {
+            this.preview.addComponent(
+                new AccessoryComponent(this.preview, [...this.selectedAccessories], this.game.loader),
+            );
+        }
+    }
+
+    /**
+     * @private
+     */
+    removePreview() {
+        if (!this.preview) return;
+        this.preview.destroy();
+        this.preview = null;
+    }
+
+    /**
+     * Saves the selection and returns to the world.
+     */
+    confirm() {
+        const character = this.characters[this.characterIndex];
+        if (character) {
+            avatarSettings.setCharacter(character);
+        }
+        for (const accessory of this.accessories) {
+            avatarSettings.setAccessory(accessory, this.selectedAccessories.has(accessory));
+        }
+        this.close();
+    }
+
+    /**
+     * Returns to the world without saving.
+     */
+    close() {
+        this.game.stateManager.setState(this.returnState, this.returnParams);
+    }
+
+    /**
+     * Cycles through the characters with the keys bound to 'moveLeft' and 'moveRight',
+     * confirms with 'interact' and cancels with 'pause'.
+     * @param {KeyboardEvent} event - The keyboard event.
+     */
+    handleKeyDown(event) {
+        if (!this.hasInputFocus() || event.target instanceof HTMLInputElement) return;
+        if (inputHandler.matchesAction(event, 'moveLeft')) {
+            this.selectCharacter(this.characterIndex - 1);
+        } else if (inputHandler.matchesAction(event, 'moveRight')) {
+            this.selectCharacter(this.characterIndex + 1);
+        } else if (inputHandler.matchesAction(event, 'interact')) {
+            this.confirm();
+        } else if (inputHandler.matchesAction(event, 'pause')) {
+            this.close();
+        }
+    }
+
+    /**
+     * Turns the preview so every side of the character can be seen.
+     * @param {number} deltaTime - The fixed, time-scaled step duration in seconds.
+     */
+    update(deltaTime) {
+        if (this.preview) {
+            this.preview.sceneObject.rotation.y += PREVIEW_TURN_SPEED * deltaTime;
+            this.preview.update(deltaTime);
+        }
+    }
+
+    /**
+     * Removes the panel, the preview and its listeners.
+     */
+    exit() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        if (this.panelUI && this.panelUI.parentNode) {
+            this.panelUI.parentNode.removeChild(this.panelUI);
+        }
+        this.panelUI = null;
+
+        if (this.scene) {
+            this.removePreview();
+            this.scene = null;
+        }
+        this.camera = null;
+
+        // Dispose of cached assets in the loader
+        if (this.game.loader) {
+            this.game.loader.dispose();
+        }
+
+        super.exit();
+    }
+}
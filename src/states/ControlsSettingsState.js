@@ -0,0 +1,198 @@
+/**
+ * @file Defines the controls settings overlay used to rebind input actions.
+ * @module states/ControlsSettingsState
+ */
+
+import BaseState from './BaseState.js';
+import { inputHandler, ACTION_LABELS } from '../core/InputHandler.js';
+import { DEFAULT_DEAD_ZONE } from '../core/GamepadInput.js';
+
+/**
+ * Returns the text shown for a binding, e.g. 'CTRL+E' or 'SPACE'.
+ * @param {string} binding - The binding string.
+ * @returns {string}
+ */
+function formatBinding(binding) {
+    return binding.replace(/(^|\+) $/, '$1space').toUpperCase();
+}
+
+/**
+ * An overlay state listing every input action with its bound keys.
+ * Clicking "Rebind" waits for the next key press and makes it the action's only binding.
+ * Changes are persisted by the InputHandler. Usually pushed from the pause menu.
+ * @extends BaseState
+ */
+export default class ControlsSettingsState extends BaseState {
+    /**
+     * @param {import('../core/Game.js').default} game - The main game instance.
+     */
+    constructor(game) {
+        super(game);
+        /** @type {HTMLDivElement | null} Reference to the panel element. */
+        this.panelUI = null;
+        /** @type {string | null} The action waiting for a new key, if any. */
+        this.rebindingAction = null;
+        /** @type {Function} Bound keydown event handler. */
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Creates the settings panel and starts listening for key presses.
+     */
+    enter() {
+        this.panelUI = document.createElement('div');
+        this.panelUI.id = 'controls-settings';
+        Object.assign(this.panelUI.style, {
+            position: 'absolute',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            backgroundColor: 'rgba(0, 0, 0, 0.9)',
+            padding: '20px',
+            borderRadius: '10px',
+            color: 'white',
+            zIndex: '1001',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            minWidth: '320px',
+        });
+        document.body.appendChild(this.panelUI);
+        this.renderPanel();
+
+        // Capture phase, so a key pressed for rebinding does not reach other listeners
+        window.addEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    /**
+     * Rebuilds the list of actions and their bindings.
+     */
+    renderPanel() {
+        this.panelUI.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Controls';
+        title.style.margin = '0 0 10px 0';
+        this.panelUI.appendChild(title);
+
+        for (const action in ACTION_LABELS) {
+            const row = document.createElement('div');
+            Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '10px' });
+
+            const label = document.createElement('span');
+            label.textContent = ACTION_LABELS[action];
+            label.style.flex = '1';
+            row.appendChild(label);
+
+            const keys = document.createElement('span');
+            keys.textContent = this.rebindingAction === action
+                ? 'Press a key...'
+                : inputHandler.getBindings(action).map(formatBinding).join(' / ');
+            keys.style.fontFamily = 'monospace';
+            row.appendChild(keys);
+
+            row.appendChild(this.createButton('Rebind', () => {
+                this.rebindingAction = action;
+                this.renderPanel();
+            }));
+            this.panelUI.appendChild(row);
+        }
+
+        this.panelUI.appendChild(this.createDeadZoneRow());
+
+        this.panelUI.appendChild(this.createButton('Reset to Defaults', () => {
+            inputHandler.resetBindings();
+            inputHandler.gamepad.setDeadZone(DEFAULT_DEAD_ZONE);
+            this.rebindingAction = null;
+            this.renderPanel();
+        }));
+        this.panelUI.appendChild(this.createButton('Back', () => this.game.stateManager.popState()));
+    }
+
+    /**
+     * Creates a slider row for the gamepad stick dead zone.
+     * @returns {HTMLDivElement}
+     */
+    createDeadZoneRow() {
+        const row = document.createElement('div');
+        Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '10px' });
+
+        const label = document.createElement('span');
+        label.textContent = 'Gamepad Dead Zone';
+        label.style.flex = '1';
+        row.appendChild(label);
+
+        const value = document.createElement('span');
+        value.textContent = inputHandler.gamepad.deadZone.toFixed(2);
+        value.style.fontFamily = 'monospace';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '0.9';
+        slider.step = '0.05';
+        slider.value = String(inputHandler.gamepad.deadZone);
+        slider.addEventListener('input', () => {
+            inputHandler.gamepad.setDeadZone(parseFloat(slider.value));
+            value.textContent = inputHandler.gamepad.deadZone.toFixed(2);
+        });
+        row.appendChild(slider);
+        row.appendChild(value);
+        return row;
+    }
+
+    /**
+     * Creates a styled panel button.
+     * @param {string} label - The button text.
+     * @param {Function} onClick - The click handler.
+     * @returns {HTMLButtonElement}
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        Object.assign(button.style, {
+            padding: '6px 12px',
+            backgroundColor: '#61dafb',
+            color: '#282c34',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer',
+        });
+        button.onclick = onClick;
+        return button;
+    }
+
+    /**
+     * Assigns the pressed key to the action being rebound, or closes the panel on 'pause'.
+     * @param {KeyboardEvent} event - The keyboard event.
+     */
+    handleKeyDown(event) {
+        if (!this.hasInputFocus()) return;
+
+        if (this.rebindingAction) {
+            const binding = inputHandler.bindingFromEvent(event);
+            if (!binding) return; // Wait for a non-modifier key
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            inputHandler.rebind(this.rebindingAction, [binding]);
+            this.rebindingAction = null;
+            this.renderPanel();
+        } else if (inputHandler.matchesAction(event, 'pause')) {
+            event.stopImmediatePropagation();
+            this.game.stateManager.popState();
+        }
+    }
+
+    /**
+     * Removes the panel and its listeners.
+     */
+    exit() {
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        if (this.panelUI && this.panelUI.parentNode) {
+            this.panelUI.parentNode.removeChild(this.panelUI);
+        }
+        this.panelUI = null;
+        this.rebindingAction = null;
+        super.exit();
+    }
+}
@@ -9,10 +9,18 @@
 
 import * as THREE from 'three';
 import BaseState from './BaseState.js';
-import { createPlayer, createStaticObject } from '../entities/factories.js';
+import { createPlayer, createPortal, createPrefab, createStaticObject } from '../entities/factories.js';
 import ObjectLoader from '../loaders/ObjectLoader.js';
 import PlayerInteractionComponent from '../components/PlayerInteractionComponent.js';
+import ClickToMoveComponent from '../components/ClickToMoveComponent.js';
 import InteractionManager from '../core/InteractionManager.js';
+import { inputHandler } from '../core/InputHandler.js';
+import NavigationGrid from '../core/NavigationGrid.js';
+import { navigationDebug } from '../core/NavigationDebugOverlay.js';
+import EntityWorld from '../core/EntityWorld.js';
+import { isMarkerObject } from '../utils/objectTypes.js';
+import { DEFAULT_SPAWN_POSITION, resolveSpawn } from '../utils/spawnPoints.js';
+import { avatarSettings } from '../core/AvatarSettings.js';
 
 /**
  * A state for loading and managing a custom world, either from a file or
@@ -26,9 +34,10 @@ export default class CustomWorldState extends BaseState {
     constructor(game) {
         super(game);
         this.scene = null;
-        this.entities = [];
+        this.world = null; // Registry of the scene's entities, created on enter
         this.player = null;
-        this.interactionManager = new InteractionManager(game);
+        this.interactionManager = null; // Created on enter, since the state is reused for every visit
+        this.navigationGrid = null; // Walkable cells of the loaded world
         this.worldData = null;
         this.worldName = 'custom';
         this.isTest = false;
@@ -46,6 +55,9 @@ export default class CustomWorldState extends BaseState {
      * @param {object} [params.worldData] - The world data to load directly for playtesting.
      * @param {string} [params.worldName] - The name of the world.
      * @param {boolean} [params.isTest] - Flag to indicate if this is a playtest session.
+     * @param {string} [params.spawnPoint] - The spawn point to place the player at, e.g. when arriving through a portal.
+     * @param {{x: number, z: number}} [params.spawnPosition] - A position that overrides the spawn points,
+     *   e.g. the editor camera focus when playtesting, or where the player was before changing character.
      */
     async enter(params = {}) {
         this.worldData = params.worldData;
@@ -54,6 +66,8 @@ export default class CustomWorldState extends BaseState {
 
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x3a4c5a);
+        this.world = EntityWorld.forScene(this.scene);
+        this.interactionManager = new InteractionManager(this.game);
 
         const aspect = window.innerWidth / window.innerHeight;
         const d = 10;
@@ -67,36 +81,86 @@ export default class CustomWorldState extends BaseState {
         floor.rotation.x = -Math.PI / 2;
         this.scene.add(floor);
 
-        // Load all necessary data
-        await this.game.loader.loadPropertiesData('assets/properties.json');
-        const worldData = this.worldData || await this.loadWorldFromFile(this.worldName);
+        // Load all necessary data, started together so the loading screen knows the total up front.
+        // Animations are needed before the objects, since prefabs may reference animated models.
+        const [worldData] = await Promise.all([
+            this.worldData || this.loadWorldFromFile(this.worldName),
+            this.game.loader.loadPropertiesData('assets/properties.json'),
+            this.game.loader.loadAnimationData('assets/animations.json'),
+            this.game.loader.loadManifest('assets/manifest.json'),
+        ]);
+        this.navigationGrid = NavigationGrid.fromWorldData(worldData);
+        navigationDebug.setGrid(this.scene, this.navigationGrid);
 
-        const interactableObjects = [];
         if (worldData && worldData.objects) {
             for (const objectData of worldData.objects) {
+                if (objectData.type === 'portal') {
+                    createPortal(this.game, this.scene, objectData);
+                    continue;
+                }
+                if (objectData.type === 'prefab') {
+                    await createPrefab(this.game, this.scene, objectData, this.game.loader);
+                    continue;
+                }
+                if (isMarkerObject(objectData)) continue;
+
                 console.log("CustomWorldState: Scene before creating entity:", this.scene); // Adicionar este log
                 const entity = await createStaticObject(this.game, this.scene, objectData, this.game.loader);
-                this.entities.push(entity);
 
                 if (objectData.interactionId) {
                     entity.sceneObject.userData.interactionId = objectData.interactionId;
                     entity.sceneObject.userData.interactionData = objectData.interactionData || {};
-                    interactableObjects.push(entity.sceneObject);
+                    entity.addTag('interactable');
                 }
             }
         }
+        const interactableObjects = this.world.query({ tags: ['interactable'] }).map((entity) => entity.sceneObject);
 
-        await this.game.loader.loadAnimationData('assets/animations.json');
-        const animationData = this.game.loader.getAnimationData('character-female-a');
-        const player = createPlayer(this.game, this.scene, new THREE.Vector3(0, 1, 0), animationData);
+        const animationData = avatarSettings.getAnimationData(this.game.loader);
+        const spawn = resolveSpawn(worldData, params.spawnPoint);
+        if (params.spawnPosition) {
+            spawn.position.set(params.spawnPosition.x, DEFAULT_SPAWN_POSITION.y, params.spawnPosition.z);
+        }
+        const player = createPlayer(
+            this.game, this.scene, spawn.position, animationData, spawn.rotationY, avatarSettings.accessories,
+        );
         const interactionComponent = new PlayerInteractionComponent(player, interactableObjects, this.interactionManager);
         player.addComponent(interactionComponent);
+        player.addComponent(new ClickToMoveComponent(player, this.camera, interactableObjects, this.navigationGrid));
         this.player = player;
-        this.entities.push(player);
 
         if (this.isTest) {
             this.createTestUI();
         }
+
+        inputHandler.touch.show();
+    }
+
+    /**
+     * Hides the touch controls while an overlay such as the pause menu is open.
+     */
+    pause() {
+        inputHandler.touch.hide();
+    }
+
+    /**
+     * Shows the touch controls again once the overlay is closed.
+     */
+    resume() {
+        inputHandler.touch.show();
+    }
+
+    /**
+     * Returns to the same world, with the playtest's unsaved world data, where the player stands.
+     * @returns {object} Parameters for `enter()`.
+     */
+    getReturnParams() {
+        const params = { worldName: this.worldName, worldData: this.worldData, isTest: this.isTest };
+        if (this.player) {
+            const { x, z } = this.player.sceneObject.position;
+            params.spawnPosition = { x, z };
+        }
+        return params;
     }
 
     /**
@@ -131,9 +195,22 @@ export default class CustomWorldState extends BaseState {
     }
 
     update(deltaTime) {
-        for (const entity of this.entities) {
+        if (!this.world) return;
+        for (const entity of this.world.roots) {
             entity.update(deltaTime);
         }
+    }
+
+    /**
+     * Interpolates entity transforms for rendering and keeps the camera on the player.
+     * @param {number} alpha - How far the render time is between the previous and the current step.
+     */
+    interpolate(alpha) {
+        if (this.world) {
+            for (const entity of this.world.roots) {
+                entity.interpolate(alpha);
+            }
+        }
 
         if (this.player && this.camera) {
             const playerPosition = this.player.sceneObject.position;
@@ -149,14 +226,20 @@ export default class CustomWorldState extends BaseState {
     }
 
     exit() {
+        inputHandler.touch.hide();
+        navigationDebug.clear();
+        this.navigationGrid = null;
+
         const testUI = document.getElementById('test-ui');
         if (testUI) {
             testUI.remove();
         }
 
         // Clean up scene and entities to free memory
-        this.entities.forEach((entity) => entity.destroy());
-        this.entities = [];
+        if (this.world) {
+            this.world.query().forEach((entity) => entity.destroy());
+            this.world = null;
+        }
 
         // Dispose of floor geometry and material
         if (this.floorGeometry) {
@@ -199,6 +282,12 @@ export default class CustomWorldState extends BaseState {
         this.player = null;
         this.camera = null;
         this.worldData = null;
-        this.interactionManager = null; // Clean up interaction manager
+        // Close the animation selection if it is open; enter creates a new manager
+        if (this.interactionManager) {
+            this.interactionManager.hideAnimationSelectionUI();
+            this.interactionManager = null;
+        }
+
+        super.exit();
     }
 }
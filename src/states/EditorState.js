@@ -10,6 +10,9 @@ import BaseState from './BaseState.js';
 import AssetManager from '../core/AssetManager.js';
 import { createStaticObject } from '../entities/factories.js';
 import ObjectLoader from '../loaders/ObjectLoader.js';
+import { getObjectType, isMarkerObject } from '../utils/objectTypes.js';
+import { createGuid } from '../utils/guid.js';
+import { DEFAULT_SPAWN_NAME } from '../utils/spawnPoints.js';
 
 const LOCAL_STORAGE_KEY = 'editor_worlds';
 
@@ -30,6 +33,7 @@ export default class EditorState extends BaseState {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.editableObjects = [];
+        this.markerObjects = []; // Portals and prefab instances, not editable yet but kept when saving
         this.occupiedGridCells = new Map();
         this.editorMode = 'select';
         this.currentStampAsset = null;
@@ -187,15 +191,24 @@ export default class EditorState extends BaseState {
         this.selectedObject = null;
         this.selectedObjects = [];
         this.mapLights = [];
+
+        super.exit();
     }
 
     /**
      * Helper function to recursively dispose of a Three.js object's geometries, materials, and textures.
      * Only disposes of materials that are not marked as cached.
+     * The sceneObject of an entity is disposed by destroying the entity, which also frees its ID
+     * for the next load of the world.
      * @param {THREE.Object3D} object - The Three.js object to dispose.
      */
     _disposeThreeObject(object) {
         if (!object) return;
+        const { entity } = object.userData;
+        if (entity && entity.sceneObject === object) {
+            entity.destroy();
+            return;
+        }
 
         object.traverse((child) => {
             if (child.isMesh) {
@@ -294,16 +307,26 @@ export default class EditorState extends BaseState {
                     <button class="tool-btn" data-mode="stamp" title="Stamp"><span class="material-icons">place</span></button>
                     <button class="tool-btn" data-mode="line" title="Line"><span class="material-icons">timeline</span></button>
                     <button class="tool-btn" data-mode="square" title="Square"><span class="material-icons">check_box_outline_blank</span></button>
+                    <button class="tool-btn" data-mode="spawn" title="Spawn Point"><span class="material-icons">person_pin_circle</span></button>
                 </div>
                 <div id="properties-panel" style="display: none;">
                     <h4><span class="material-icons">tune</span>Properties</h4>
-                    <label for="interaction-id-input">Interaction ID</label>
-                    <input type="text" id="interaction-id-input" class="property-input" placeholder="e.g., showMessage">
-                    <label for="interaction-data-input">Interaction Data (JSON)</label>
-                    <textarea id="interaction-data-input" class="property-input"></textarea>
+                    <div id="interaction-properties">
+                        <label for="object-id-input">Object ID</label>
+                        <input type="text" id="object-id-input" class="property-input" readonly title="Use as targetId in another object's interaction data">
+                        <label for="interaction-id-input">Interaction ID</label>
+                        <input type="text" id="interaction-id-input" class="property-input" placeholder="e.g., showMessage">
+                        <label for="interaction-data-input">Interaction Data (JSON)</label>
+                        <textarea id="interaction-data-input" class="property-input"></textarea>
+                    </div>
+                    <div id="spawn-properties" style="display: none;">
+                        <label for="spawn-name-input">Spawn Point Name</label>
+                        <input type="text" id="spawn-name-input" class="property-input" placeholder="e.g., start">
+                    </div>
                 </div>
                 <div class="editor-controls">
                     <button id="toggle-map-lights-btn" class="control-btn" title="Toggle Map Lights"><span class="material-icons">lightbulb</span>Toggle Map Lights</button>
+                    <label class="checkbox-label" for="test-from-camera-input"><input type="checkbox" id="test-from-camera-input">Playtest from camera focus</label>
                 </div>
             </div>
 
@@ -352,7 +375,7 @@ export default class EditorState extends BaseState {
                     </div>
                     <div class="command-item">
                         <span class="command-key">Y</span>
-                        <span class="command-description">Rotate Selected Object</span>
+                        <span class="command-description">Rotate Selected Object / Spawn Facing</span>
                     </div>
                     <div class="command-item">
                         <span class="command-key">H</span>
@@ -391,6 +414,7 @@ export default class EditorState extends BaseState {
         this.uiContainer.querySelectorAll('.tool-btn').forEach(b => b.addEventListener('click', (e) => this.setEditorMode(e.currentTarget.dataset.mode)));
         document.getElementById('interaction-id-input').addEventListener('input', (e) => this.updateSelectedObjectInteraction('id', e.target.value));
         document.getElementById('interaction-data-input').addEventListener('input', (e) => this.updateSelectedObjectInteraction('data', e.target.value));
+        document.getElementById('spawn-name-input').addEventListener('change', (e) => this.renameSelectedSpawnPoint(e.target.value));
         document.getElementById('new-world-btn').addEventListener('click', () => this.createNewWorld());
         document.getElementById('save-world-btn').addEventListener('click', () => this.saveWorldToLocalStorage());
         document.getElementById('export-world-btn').addEventListener('click', () => this.exportWorldToFile());
@@ -426,15 +450,24 @@ export default class EditorState extends BaseState {
     /**
      * Updates the properties panel based on the currently selected object(s).
      * Displays interaction ID and data for single selections, or a generic message for multi-selections.
+     * A single selected spawn point shows its name instead.
      */
     updatePropertiesPanel() {
         const panel = document.getElementById('properties-panel');
-        if (this.selectedObjects.length > 1) {
+        const isSpawnPoint = this.selectedObjects.length === 1 && this.selectedObject.userData.isSpawnPoint;
+        document.getElementById('interaction-properties').style.display = isSpawnPoint ? 'none' : 'block';
+        document.getElementById('spawn-properties').style.display = isSpawnPoint ? 'block' : 'none';
+        if (isSpawnPoint) {
             panel.style.display = 'block';
+            document.getElementById('spawn-name-input').value = this.selectedObject.userData.spawnName;
+        } else if (this.selectedObjects.length > 1) {
+            panel.style.display = 'block';
+            document.getElementById('object-id-input').value = 'Multiple Objects Selected';
             document.getElementById('interaction-id-input').value = 'Multiple Objects Selected';
             document.getElementById('interaction-data-input').value = 'Multiple Objects Selected';
         } else if (this.selectedObject) {
             panel.style.display = 'block';
+            document.getElementById('object-id-input').value = this.selectedObject.userData.entity.id;
             document.getElementById('interaction-id-input').value = this.selectedObject.userData.interactionId || '';
             document.getElementById('interaction-data-input').value = this.selectedObject.userData.interactionData ? JSON.stringify(this.selectedObject.userData.interactionData, null, 2) : '{}';
         } else {
@@ -451,6 +484,7 @@ export default class EditorState extends BaseState {
         if (this.selectedObjects.length === 0) return;
 
         this.selectedObjects.forEach(obj => {
+            if (obj.userData.isSpawnPoint) return;
             if (type === 'id') {
                 obj.userData.interactionId = value;
             } else if (type === 'data') {
@@ -465,8 +499,8 @@ export default class EditorState extends BaseState {
     }
 
     /**
-     * Sets the current editor mode (select, stamp, line, square).
-     * @param {'select'|'stamp'|'line'|'square'} mode - The new editor mode.
+     * Sets the current editor mode (select, stamp, line, square, spawn).
+     * @param {'select'|'stamp'|'line'|'square'|'spawn'} mode - The new editor mode.
      */
     setEditorMode(mode) {
         if (this.editorMode === mode) return;
@@ -485,9 +519,7 @@ export default class EditorState extends BaseState {
      * @returns {'floor'|'wall'|'prop'} The determined object type.
      */
     getObjectType(modelPath) {
-        if (modelPath.includes('floor')) return 'floor';
-        if (modelPath.includes('wall')) return 'wall';
-        return 'prop';
+        return getObjectType(modelPath);
     }
 
     /**
@@ -672,6 +704,7 @@ export default class EditorState extends BaseState {
      * @param {KeyboardEvent} event - The keyboard event.
      */
     handleKeyDown(event) {
+        if (!this.hasInputFocus()) return;
         const targets = this.selectedObjects.length > 0 ? this.selectedObjects : (this.selectedObject ? [this.selectedObject] : []);
         if (targets.length === 0) return;
 
@@ -754,6 +787,7 @@ export default class EditorState extends BaseState {
                     case 'stamp': this.handleStampModePointerMove(); break;
                     case 'line':
                     case 'square': this.handleShapeModePointerDown(); break;
+                    case 'spawn': this.handleSpawnModePointerDown(); break;
                 }
             }
         }
@@ -1038,6 +1072,21 @@ export default class EditorState extends BaseState {
         }
     }
 
+    /**
+     * Handles pointer down events when in 'spawn' mode: places a spawn point on the clicked cell,
+     * then switches to 'select' mode with it selected so it can be named and rotated.
+     */
+    handleSpawnModePointerDown() {
+        const intersects = this.raycaster.intersectObject(this.editorFloor);
+        if (intersects.length === 0) return;
+        const gridX = Math.round(intersects[0].point.x / this.gridSize);
+        const gridZ = Math.round(intersects[0].point.z / this.gridSize);
+        const spawnPoint = this.placeSpawnPoint(gridX * this.gridSize, gridZ * this.gridSize);
+        this.isLeftMouseButtonDown = false;
+        this.setEditorMode('select');
+        this.selectObject(spawnPoint);
+    }
+
     /**
      * Handles pointer down events when in shape drawing modes ('line', 'square'),
      * initiating the shape drawing process.
@@ -1157,6 +1206,8 @@ export default class EditorState extends BaseState {
      * @param {THREE.Object3D} object - The Three.js object to add.
      */
     addObjectToGrid(object) {
+        // Spawn points do not take up their cell
+        if (object.userData.isSpawnPoint) return;
         const gridX = Math.round(object.position.x / this.gridSize);
         const gridZ = Math.round(object.position.z / this.gridSize);
         const cellKey = `${gridX},${gridZ}`;
@@ -1199,8 +1250,10 @@ export default class EditorState extends BaseState {
      * @param {object} [scale={x:1, y:1, z:1}] - The scale of the object.
      * @param {string} [interactionId=null] - An optional ID for interaction logic.
      * @param {object} [interactionData=null] - Optional data for interaction logic.
+     * @param {object} [trigger=null] - Optional TriggerComponent options, kept when the world is saved.
+     * @param {string} [id] - The object's ID from the loaded world, kept when saving. New objects get a new one.
      */
-    async placeObject(modelPath, x, z, rotationY = 0, scale = {x:1, y:1, z:1}, interactionId = null, interactionData = null) {
+    async placeObject(modelPath, x, z, rotationY = 0, scale = {x:1, y:1, z:1}, interactionId = null, interactionData = null, trigger = null, id) {
         let correctedModelPath = modelPath;
         if (modelPath.startsWith('public/worlds/arcade/')) {
             correctedModelPath = modelPath.replace('public/worlds/arcade/', 'assets/arcade/');
@@ -1223,7 +1276,9 @@ export default class EditorState extends BaseState {
                 rotation: { x: 0, y: rotationY, z: 0 },
                 scale: scale,
                 interactionId: interactionId,
-                interactionData: interactionData
+                interactionData: interactionData,
+                trigger: trigger,
+                id: id
             }, this.game.loader);
 
             const modelRoot = entity.sceneObject;
@@ -1232,6 +1287,7 @@ export default class EditorState extends BaseState {
             modelRoot.userData.modelPath = correctedModelPath;
             modelRoot.userData.entity = entity;
             modelRoot.userData.isEditableAsset = true;
+            modelRoot.userData.trigger = trigger;
 
             modelRoot.traverse((child) => {
                 if (child.isLight) {
@@ -1247,6 +1303,69 @@ export default class EditorState extends BaseState {
         }
     }
 
+    /**
+     * Places a spawn point gizmo: a disc with an arrow showing the direction the player will face.
+     * Spawn points are editable objects (selected, dragged, rotated and deleted like models)
+     * but do not occupy grid cells.
+     * @param {number} x - The X coordinate for placement.
+     * @param {number} z - The Z coordinate for placement.
+     * @param {number} [rotationY=0] - The facing, in radians around the Y-axis.
+     * @param {string} [name] - The spawn point name. Defaults to 'start', or a numbered name if taken.
+     * @returns {THREE.Group} The gizmo.
+     */
+    placeSpawnPoint(x, z, rotationY = 0, name = this.getUniqueSpawnName()) {
+        const gizmo = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({ color: 0x4caf50 });
+
+        const disc = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 0.05, 24), material);
+        disc.position.y = 0.025;
+        gizmo.add(disc);
+
+        const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.15, 0.4, 12), material.clone());
+        arrow.rotation.x = Math.PI / 2; // Point along +Z, the facing at rotation 0
+        arrow.position.set(0, 0.1, 0.45);
+        gizmo.add(arrow);
+
+        gizmo.position.set(x, 0, z);
+        gizmo.rotation.y = rotationY;
+        gizmo.userData.isSpawnPoint = true;
+        gizmo.userData.spawnName = name;
+
+        this.scene.add(gizmo);
+        this.editableObjects.push(gizmo);
+        return gizmo;
+    }
+
+    /**
+     * Returns 'start' if no spawn point uses it yet, otherwise the first free 'spawn-N' name.
+     * @returns {string}
+     */
+    getUniqueSpawnName() {
+        const names = new Set(this.editableObjects.filter(obj => obj.userData.isSpawnPoint).map(obj => obj.userData.spawnName));
+        if (!names.has(DEFAULT_SPAWN_NAME)) return DEFAULT_SPAWN_NAME;
+        let index = 2;
+        while (names.has(`spawn-${index}`)) index++;
+        return `spawn-${index}`;
+    }
+
+    /**
+     * Renames the selected spawn point. Empty names and names used by another spawn point are rejected.
+     * @param {string} value - The new name.
+     */
+    renameSelectedSpawnPoint(value) {
+        const spawnPoint = this.selectedObject;
+        if (!spawnPoint || !spawnPoint.userData.isSpawnPoint) return;
+
+        const name = value.trim();
+        const isTaken = this.editableObjects.some(obj => obj !== spawnPoint && obj.userData.isSpawnPoint && obj.userData.spawnName === name);
+        if (!name || isTaken) {
+            this.showToast(name ? `Spawn point '${name}' already exists` : 'Spawn point name cannot be empty', 'warning');
+        } else {
+            spawnPoint.userData.spawnName = name;
+        }
+        this.updatePropertiesPanel();
+    }
+
     /**
      * Selects a single object, clearing any previous selection.
      * @param {THREE.Object3D} object - The object to select.
@@ -1390,6 +1509,7 @@ export default class EditorState extends BaseState {
             this.editableObjects.forEach(obj => this._disposeThreeObject(obj));
         }
         this.editableObjects = [];
+        this.markerObjects = [];
         this.occupiedGridCells.clear();
         if (this.previewObject) this._disposeThreeObject(this.previewObject);
         if (this.previewObjects) {
@@ -1516,14 +1636,23 @@ export default class EditorState extends BaseState {
     async loadWorldData(worldData, worldName) {
         this.clearScene();
         document.getElementById('world-name-input').value = worldName;
-        await Promise.all(worldData.objects.map(objData => this.placeObject(
+        worldData.objects.filter(objData => objData.type === 'spawnPoint').forEach(objData => this.placeSpawnPoint(
+            objData.position.x,
+            objData.position.z,
+            objData.rotation ? objData.rotation.y : 0,
+            objData.name
+        ));
+        this.markerObjects = worldData.objects.filter(objData => objData.type === 'prefab' || (isMarkerObject(objData) && objData.type !== 'spawnPoint'));
+        await Promise.all(worldData.objects.filter(objData => !isMarkerObject(objData) && objData.type !== 'prefab').map(objData => this.placeObject(
             objData.path,
             objData.position.x,
             objData.position.z,
             objData.rotation.y,
             objData.scale,
             objData.interactionId,
-            objData.interactionData
+            objData.interactionData,
+            objData.trigger,
+            objData.id
         )));
     }
 
@@ -1592,15 +1721,21 @@ export default class EditorState extends BaseState {
 
     /**
      * Serializes the current state of editable objects in the scene into a world data format.
-     * Only includes objects marked as editable assets.
+     * Only includes objects marked as editable assets and spawn points, plus the portals and prefab instances of the loaded world.
+     * Every object except spawn points (referenced by name) gets a persistent `id`: its entity's ID for
+     * editable assets, and a new one for kept objects saved without one, which then stays the same on later saves.
      * @returns {object} The serialized world data.
      */
     serializeWorld() {
-        const worldData = { objects: [] };
+        this.markerObjects.forEach(objData => {
+            if (!objData.id) objData.id = createGuid();
+        });
+        const worldData = { objects: [...this.markerObjects] };
         if (this.editableObjects) {
             this.editableObjects.forEach(obj => {
                 if (obj.userData.isEditableAsset) {
                     worldData.objects.push({
+                        id: obj.userData.entity.id,
                         type: 'staticObject',
                         model: obj.userData.modelPath.split('/').pop().replace('.glb', ''),
                         path: obj.userData.modelPath,
@@ -1608,7 +1743,15 @@ export default class EditorState extends BaseState {
                         rotation: { x: obj.rotation.x, y: obj.rotation.y, z: obj.rotation.z },
                         scale: { x: obj.scale.x, y: obj.scale.y, z: obj.scale.z },
                         interactionId: obj.userData.interactionId,
-                        interactionData: obj.userData.interactionData
+                        interactionData: obj.userData.interactionData,
+                        trigger: obj.userData.trigger || undefined
+                    });
+                } else if (obj.userData.isSpawnPoint) {
+                    worldData.objects.push({
+                        type: 'spawnPoint',
+                        name: obj.userData.spawnName,
+                        position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
+                        rotation: { x: 0, y: obj.rotation.y, z: 0 }
                     });
                 }
             });
@@ -1618,11 +1761,27 @@ export default class EditorState extends BaseState {
 
     /**
      * Transitions the game to a 'CustomWorld' state, loading the current editor world for testing.
+     * The player starts at the world's spawn point, or where the camera looks if
+     * "Playtest from camera focus" is checked.
      */
     testWorld() {
         const worldData = this.serializeWorld();
         const worldName = document.getElementById('world-name-input').value.trim() || 'Test World';
-        this.game.stateManager.setState('CustomWorld', { worldData, worldName, isTest: true });
+        const params = { worldData, worldName, isTest: true };
+        if (document.getElementById('test-from-camera-input').checked) {
+            const focus = this.getCameraFocus();
+            if (focus) params.spawnPosition = { x: focus.x, z: focus.z };
+        }
+        this.game.stateManager.setState('CustomWorld', params);
+    }
+
+    /**
+     * Returns the point on the ground at the center of the view.
+     * @returns {THREE.Vector3 | null}
+     */
+    getCameraFocus() {
+        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+        return this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
     }
 
     /**
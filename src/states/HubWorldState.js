@@ -8,11 +8,19 @@ import BaseState from './BaseState.js';
 import {
     createPlayer,
     createPortal,
+    createPrefab,
     createStaticObject,
 } from '../entities/factories.js';
 import ObjectLoader from '../loaders/ObjectLoader.js';
 import PlayerInteractionComponent from '../components/PlayerInteractionComponent.js';
+import ClickToMoveComponent from '../components/ClickToMoveComponent.js';
 import InteractionManager from '../core/InteractionManager.js';
+import { inputHandler } from '../core/InputHandler.js';
+import NavigationGrid from '../core/NavigationGrid.js';
+import { navigationDebug } from '../core/NavigationDebugOverlay.js';
+import EntityWorld from '../core/EntityWorld.js';
+import { DEFAULT_SPAWN_POSITION, resolveSpawn } from '../utils/spawnPoints.js';
+import { avatarSettings } from '../core/AvatarSettings.js';
 
 /**
  * The main hub world of the game, featuring an isometric camera view.
@@ -21,20 +29,26 @@ export default class HubWorldState extends BaseState {
     constructor(game) {
         super(game);
         /**
-         * A list of all entities in this state.
-         * @type {import('../entities/Entity.js').default[]}
+         * The registry of the entities in this state's scene, created on enter.
+         * @type {EntityWorld | null}
          */
-        this.entities = [];
+        this.world = null;
         /**
          * The player entity.
          * @type {import('../entities/Entity.js').default | null}
          */
         this.player = null;
         /**
-         * The interaction manager for handling player interactions.
-         * @type {InteractionManager}
+         * The interaction manager for handling player interactions, created on enter
+         * since the state is reused for every visit.
+         * @type {InteractionManager | null}
          */
-        this.interactionManager = new InteractionManager(game);
+        this.interactionManager = null;
+        /**
+         * The walkable cells of the loaded world, used for pathfinding.
+         * @type {NavigationGrid | null}
+         */
+        this.navigationGrid = null;
 
         // Initialize the loader if it doesn't exist on the game object
         if (!this.game.loader) {
@@ -42,9 +56,18 @@ export default class HubWorldState extends BaseState {
         }
     }
 
-    async enter() {
+    /**
+     * Builds the hub from its world file.
+     * @param {object} [params={}] - Parameters passed from the previous state.
+     * @param {string} [params.spawnPoint] - The spawn point to place the player at, e.g. when arriving through a portal.
+     * @param {{x: number, z: number}} [params.spawnPosition] - A position that overrides the spawn points,
+     *   e.g. where the player was before changing character.
+     */
+    async enter(params = {}) {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x222222);
+        this.world = EntityWorld.forScene(this.scene);
+        this.interactionManager = new InteractionManager(this.game);
 
         // --- Isometric Camera ---
         const aspect = window.innerWidth / window.innerHeight;
@@ -70,59 +93,99 @@ export default class HubWorldState extends BaseState {
         this.scene.add(floor);
 
         // --- Load Assets ---
-        await this.game.loader.loadAnimationData('assets/animations.json');
-        await this.game.loader.loadPropertiesData('assets/properties.json');
-        const worldData = await this.game.loader.loadWorldData('hub');
+        // Started together, so the loading screen knows the total up front
+        const [worldData] = await Promise.all([
+            this.game.loader.loadWorldData('hub'),
+            this.game.loader.loadAnimationData('assets/animations.json'),
+            this.game.loader.loadPropertiesData('assets/properties.json'),
+            this.game.loader.loadManifest('assets/manifest.json'),
+        ]);
 
-        const interactableObjects = []; // Array to hold sceneObjects that are interactable
+        // --- Navigation ---
+        this.navigationGrid = NavigationGrid.fromWorldData(worldData);
+        navigationDebug.setGrid(this.scene, this.navigationGrid);
 
         // --- World Scenery ---
         if (worldData && worldData.objects) {
             for (const objectData of worldData.objects) {
                 if (objectData.type === 'staticObject') {
                     console.log("HubWorldState: Calling createStaticObject with scene:", this.scene); // Debug log
-                    const entity = await createStaticObject(this.game, this.scene, objectData, this.game.loader);
-                    this.entities.push(entity);
-                    // Collect interactable objects
-                    if (entity.sceneObject.userData.interactionId) { // Check entity.sceneObject.userData.interactionId which is set by factories.js
-                        interactableObjects.push(entity.sceneObject);
-                    }
+                    await createStaticObject(this.game, this.scene, objectData, this.game.loader);
+                } else if (objectData.type === 'portal') {
+                    createPortal(this.game, this.scene, objectData);
+                } else if (objectData.type === 'prefab') {
+                    await createPrefab(this.game, this.scene, objectData, this.game.loader);
                 }
             }
         }
+        // Objects with an interactionId in properties.json or their prefab are tagged by the factories
+        const interactableObjects = this.world.query({ tags: ['interactable'] }).map((entity) => entity.sceneObject);
 
-        // --- Player and Portals ---
-        const animationData =
-            this.game.loader.getAnimationData('character-female-a');
+        // --- Player ---
+        const animationData = avatarSettings.getAnimationData(this.game.loader);
+        const spawn = resolveSpawn(worldData, params.spawnPoint);
+        if (params.spawnPosition) {
+            spawn.position.set(params.spawnPosition.x, DEFAULT_SPAWN_POSITION.y, params.spawnPosition.z);
+        }
         const player = createPlayer(
             this.game,
             this.scene,
-            new THREE.Vector3(0, 1, 0),
+            spawn.position,
             animationData,
+            spawn.rotationY,
+            avatarSettings.accessories,
         );
         this.player = player;
 
         // Add PlayerInteractionComponent to the player
         console.log("HubWorldState: Interactable objects being passed to PlayerInteractionComponent:", interactableObjects); // Added log
         player.addComponent(new PlayerInteractionComponent(player, interactableObjects, this.interactionManager));
+        player.addComponent(new ClickToMoveComponent(player, this.camera, interactableObjects, this.navigationGrid));
 
+        inputHandler.touch.show();
+    }
 
-        const portalToGame1 = createPortal(
-            this.game,
-            this.scene,
-            new THREE.Vector3(10, 0.1, -5),
-            'MiniGame1',
-            player,
-        );
+    /**
+     * Returns to where the player stands.
+     * @returns {object} Parameters for `enter()`.
+     */
+    getReturnParams() {
+        if (!this.player) return {};
+        const { x, z } = this.player.sceneObject.position;
+        return { spawnPosition: { x, z } };
+    }
 
-        this.entities.push(player);
-        this.entities.push(portalToGame1);
+    /**
+     * Hides the touch controls while an overlay such as the pause menu is open.
+     */
+    pause() {
+        inputHandler.touch.hide();
+    }
+
+    /**
+     * Shows the touch controls again once the overlay is closed.
+     */
+    resume() {
+        inputHandler.touch.show();
     }
 
     update(deltaTime) {
-        for (const entity of this.entities) {
+        if (!this.world) return;
+        for (const entity of this.world.roots) {
             entity.update(deltaTime);
         }
+    }
+
+    /**
+     * Interpolates entity transforms for rendering and keeps the camera on the player.
+     * @param {number} alpha - How far the render time is between the previous and the current step.
+     */
+    interpolate(alpha) {
+        if (this.world) {
+            for (const entity of this.world.roots) {
+                entity.interpolate(alpha);
+            }
+        }
 
         if (this.player && this.camera) {
             const playerPosition = this.player.sceneObject.position;
@@ -138,9 +201,15 @@ export default class HubWorldState extends BaseState {
     }
 
     exit() {
+        inputHandler.touch.hide();
+        navigationDebug.clear();
+        this.navigationGrid = null;
+
         // Clean up scene and entities to free memory
-        this.entities.forEach((entity) => entity.destroy());
-        this.entities = [];
+        if (this.world) {
+            this.world.query().forEach((entity) => entity.destroy());
+            this.world = null;
+        }
 
         // Dispose of floor geometry and material
         if (this.floorGeometry) {
@@ -181,6 +250,12 @@ export default class HubWorldState extends BaseState {
 
         this.player = null;
         this.camera = null;
-        this.interactionManager = null; // Clean up interaction manager
+        // Close the animation selection if it is open; enter creates a new manager
+        if (this.interactionManager) {
+            this.interactionManager.hideAnimationSelectionUI();
+            this.interactionManager = null;
+        }
+
+        super.exit();
     }
 }
@@ -0,0 +1,80 @@
+/**
+ * @file Adapts the legacy world classes (src/worlds) to the StateManager.
+ * @module states/LegacyWorldState
+ */
+
+import BaseState from './BaseState.js';
+
+/**
+ * Wraps a legacy world class so it can be registered with the StateManager like any other state.
+ * Legacy worlds build their scene and camera in the constructor and expose `update(deltaTime)`
+ * and an optional `dispose()`. The world is created on `enter()` and disposed on `exit()`.
+ * @extends BaseState
+ * @example
+ * game.stateManager.addState('Game1', new LegacyWorldState(game, Game1World));
+ */
+export default class LegacyWorldState extends BaseState {
+    /**
+     * @param {import('../core/Game.js').default} game - The main game instance.
+     * @param {new (game: import('../core/Game.js').default) => {scene: import('three').Scene, camera: import('three').Camera, update: Function, dispose?: Function}} WorldClass - The legacy world class to wrap.
+     */
+    constructor(game, WorldClass) {
+        super(game);
+        this.WorldClass = WorldClass;
+        /** @type {object | null} The active legacy world instance. */
+        this.world = null;
+    }
+
+    /**
+     * Instantiates the legacy world and adopts its scene and camera.
+     */
+    enter() {
+        this.world = new this.WorldClass(this.game);
+        this.scene = this.world.scene;
+        this.camera = this.world.camera;
+    }
+
+    /**
+     * Forwards the simulation step to the legacy world.
+     * @param {number} deltaTime - The fixed, time-scaled step duration in seconds.
+     */
+    update(deltaTime) {
+        if (this.world) {
+            this.world.update(deltaTime);
+        }
+    }
+
+    /**
+     * Disposes of the legacy world and its scene resources.
+     */
+    exit() {
+        if (this.world && typeof this.world.dispose === 'function') {
+            this.world.dispose();
+        }
+
+        if (this.scene) {
+            this.scene.traverse((object) => {
+                if (object.isMesh) {
+                    if (object.geometry) {
+                        object.geometry.dispose();
+                    }
+                    if (object.material) {
+                        if (Array.isArray(object.material)) {
+                            object.material.forEach((material) =>
+                                material.dispose(),
+                            );
+                        } else {
+                            object.material.dispose();
+                        }
+                    }
+                }
+            });
+        }
+
+        this.world = null;
+        this.scene = null;
+        this.camera = null;
+
+        super.exit();
+    }
+}
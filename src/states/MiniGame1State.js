@@ -5,7 +5,7 @@
 
 import * as THREE from 'three';
 import BaseState from './BaseState.js';
-import { eventBus } from '../core/EventBus.js';
+import { eventBus, Events } from '../core/EventBus.js';
 
 /**
  * An example of a secondary game state. This one uses a simple 2D orthographic camera
@@ -56,7 +56,7 @@ export default class MiniGame1State extends BaseState {
     update(deltaTime) {
         this.returnTimer -= deltaTime;
         if (this.returnTimer <= 0) {
-            eventBus.emit('change-state', 'HubWorld');
+            eventBus.emit(Events.CHANGE_STATE, 'HubWorld');
         }
     }
 
@@ -110,5 +110,7 @@ export default class MiniGame1State extends BaseState {
         }
 
         this.camera = null;
+
+        super.exit();
     }
 }
@@ -0,0 +1,127 @@
+/**
+ * @file Defines a pause menu overlay state.
+ * @module states/PauseMenuState
+ */
+
+import BaseState from './BaseState.js';
+import { inputHandler } from '../core/InputHandler.js';
+
+/**
+ * A menu pushed on top of a world state with `StateManager.pushState`.
+ * It has no scene of its own, so the world below keeps rendering while its updates are suspended.
+ * @extends BaseState
+ */
+export default class PauseMenuState extends BaseState {
+    /**
+     * @param {import('../core/Game.js').default} game - The main game instance.
+     */
+    constructor(game) {
+        super(game);
+        /** @type {HTMLDivElement | null} Reference to the menu element. */
+        this.menuUI = null;
+        /** @type {Function} Bound keydown event handler. */
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Creates the menu UI and starts listening for the 'pause' action.
+     */
+    enter() {
+        this.menuUI = document.createElement('div');
+        this.menuUI.id = 'pause-menu';
+        Object.assign(this.menuUI.style, {
+            position: 'absolute',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            padding: '20px',
+            borderRadius: '10px',
+            color: 'white',
+            zIndex: '1000',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '10px',
+            minWidth: '200px',
+        });
+
+        const title = document.createElement('h3');
+        title.textContent = 'Paused';
+        title.style.margin = '0 0 10px 0';
+        this.menuUI.appendChild(title);
+
+        this.menuUI.appendChild(
+            this.createButton('Resume', () => this.game.stateManager.popState()),
+        );
+        this.menuUI.appendChild(
+            this.createButton('Controls', () => this.game.stateManager.pushState('ControlsSettings')),
+        );
+        this.menuUI.appendChild(
+            this.createButton('Change Character', () => this.openCharacterSelect()),
+        );
+        this.menuUI.appendChild(
+            this.createButton('Return to Hub', () => this.game.stateManager.setState('HubWorld')),
+        );
+
+        document.body.appendChild(this.menuUI);
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Replaces the world with the character selection, which comes back to the same world and position.
+     */
+    openCharacterSelect() {
+        const { stateManager } = this.game;
+        const world = stateManager.currentState;
+        stateManager.setState('CharacterSelect', {
+            returnState: world ? stateManager.getStateName(world) : undefined,
+            returnParams: world ? world.getReturnParams() : {},
+        });
+    }
+
+    /**
+     * Creates a styled menu button.
+     * @param {string} label - The button text.
+     * @param {Function} onClick - The click handler.
+     * @returns {HTMLButtonElement}
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        Object.assign(button.style, {
+            padding: '10px 15px',
+            backgroundColor: '#61dafb',
+            color: '#282c34',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer',
+            fontSize: '1em',
+        });
+        button.onclick = onClick;
+        return button;
+    }
+
+    /**
+     * Closes the menu when a key bound to 'pause' is pressed.
+     * @param {KeyboardEvent} event - The keyboard event.
+     */
+    handleKeyDown(event) {
+        if (!this.hasInputFocus()) return;
+        if (inputHandler.matchesAction(event, 'pause')) {
+            this.game.stateManager.popState();
+        }
+    }
+
+    /**
+     * Removes the menu UI and its listeners.
+     */
+    exit() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        if (this.menuUI && this.menuUI.parentNode) {
+            this.menuUI.parentNode.removeChild(this.menuUI);
+        }
+        this.menuUI = null;
+
+        super.exit();
+    }
+}
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 import BaseState from './BaseState.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { eventBus } from '../core/EventBus.js'; //
+import { eventBus, Events } from '../core/EventBus.js';
 
 /**
  * Represents the Solar System game state, where players can explore a model of our solar system.
@@ -33,8 +33,8 @@ export default class SolarSystemState extends BaseState {
         this.earthMesh = null;
         /** @type {boolean} Flag indicating if camera is currently animating. */
         this.isAnimatingCamera = false;
-        /** @type {number} Timestamp when camera animation started. */
-        this.cameraAnimationStartTime = 0;
+        /** @type {number} Time elapsed since the camera animation started, in milliseconds. */
+        this.cameraAnimationElapsed = 0;
         /** @type {number} Duration of the camera animation in milliseconds. */
         this.cameraAnimationDuration = 3000; // 3 seconds for animation
         /** @type {THREE.Vector3} Starting position of the camera for animation. */
@@ -226,13 +226,13 @@ export default class SolarSystemState extends BaseState {
     update(deltaTime) {
         // Rotate the sun mesh on its axis
         if (this.sun && this.sun.parent.children[0]) { // Assuming sunMesh is the first child of scene
-            this.sun.parent.children[0].rotation.y += 0.005; // Slower sun rotation for visual effect
+            this.sun.parent.children[0].rotation.y += 0.3 * deltaTime; // Slower sun rotation for visual effect
         }
 
         // Animate celestial bodies: orbit around the sun and rotate on their own axes
         this.celestialBodies.forEach(body => {
             body.mesh.rotation.y += body.speed * deltaTime * 10; // Orbit around the sun
-            body.planetMesh.rotation.y += 0.05; // Rotate on its own axis
+            body.planetMesh.rotation.y += 3 * deltaTime; // Rotate on its own axis
 
             // Animate moons orbiting their parent planet
             body.children.forEach(child => {
@@ -243,8 +243,9 @@ export default class SolarSystemState extends BaseState {
         // --- Camera Animation Update ---
         // If camera is animating towards Earth, interpolate its position and target.
         if (this.isAnimatingCamera) {
-            const elapsedTime = performance.now() - this.cameraAnimationStartTime;
-            const progress = Math.min(elapsedTime / this.cameraAnimationDuration, 1);
+            // Driven by deltaTime so the animation follows the global time scale
+            this.cameraAnimationElapsed += deltaTime * 1000;
+            const progress = Math.min(this.cameraAnimationElapsed / this.cameraAnimationDuration, 1);
 
             // Smoothly move camera position and target
             this.camera.position.lerpVectors(this.cameraStartPos, this.cameraEndPos, progress);
@@ -269,17 +270,19 @@ export default class SolarSystemState extends BaseState {
      * @param {KeyboardEvent} event - The keyboard event.
      */
     handleKeyDown(event) {
+        if (!this.hasInputFocus()) return;
+
         // Pressing 'Escape' returns to the HubWorld
         if (event.key === 'Escape') {
             console.log("SolarSystemState: Escape key pressed. Returning to HubWorld.");
-            eventBus.emit('change-state', 'HubWorld'); // Emit event to change state
+            eventBus.emit(Events.CHANGE_STATE, 'HubWorld'); // Emit event to change state
         }
         // Pressing 'E' initiates camera animation to Earth, if not already animating
         else if (event.key.toLowerCase() === 'e' && !this.isAnimatingCamera) {
             if (this.earthOrbit && this.earthMesh) {
                 console.log("SolarSystemState: 'E' key pressed. Initiating camera animation to Earth.");
                 this.isAnimatingCamera = true;
-                this.cameraAnimationStartTime = performance.now();
+                this.cameraAnimationElapsed = 0;
                 this.controls.enabled = false; // Disable OrbitControls during animation
 
                 // Store current camera state
@@ -396,5 +399,7 @@ export default class SolarSystemState extends BaseState {
             this.commandUI.parentNode.removeChild(this.commandUI);
             this.commandUI = null;
         }
+
+        super.exit();
     }
 }
\ No newline at end of file
@@ -1,18 +1,260 @@
+/**
+ * @file A small publish/subscribe implementation shared by every event system in the game.
+ * @module utils/EventEmitter
+ */
+
+/**
+ * @typedef {object} ListenerEntry
+ * @property {Function} listener - The callback function.
+ * @property {boolean} once - Whether the listener is removed after its first call.
+ */
+
+/**
+ * A group of subscriptions made on behalf of one owner (a state, an entity, ...).
+ * Obtained through `EventEmitter.scope(owner)`; `clear()` drops them all at once.
+ */
+class EventScope {
+    /**
+     * @param {EventEmitter} emitter - The emitter the subscriptions are made on.
+     */
+    constructor(emitter) {
+        this.emitter = emitter;
+        /**
+         * Unsubscribe handles of the listeners registered through this scope.
+         * @type {Set<Function>}
+         */
+        this.unsubscribers = new Set();
+    }
+
+    /**
+     * Subscribes to an event on behalf of the scope owner.
+     * @param {string} eventName - The name of the event, or a wildcard pattern.
+     * @param {Function} listener - The callback function to execute.
+     * @returns {Function} A function that removes this listener.
+     */
+    on(eventName, listener) {
+        return this.track(this.emitter.on(eventName, listener));
+    }
+
+    /**
+     * Subscribes to an event for a single emission on behalf of the scope owner.
+     * @param {string} eventName - The name of the event, or a wildcard pattern.
+     * @param {Function} listener - The callback function to execute.
+     * @returns {Function} A function that removes this listener.
+     */
+    once(eventName, listener) {
+        return this.track(this.emitter.once(eventName, listener));
+    }
+
+    /**
+     * Removes every listener registered through this scope.
+     */
+    clear() {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers.clear();
+    }
+
+    /**
+     * Wraps an unsubscribe handle so it also forgets itself from the scope.
+     * @private
+     * @param {Function} unsubscribe - The handle returned by the emitter.
+     * @returns {Function}
+     */
+    track(unsubscribe) {
+        const tracked = () => {
+            unsubscribe();
+            this.unsubscribers.delete(tracked);
+        };
+        this.unsubscribers.add(tracked);
+        return tracked;
+    }
+}
+
+/**
+ * Emits named events to registered listeners.
+ * Besides exact event names, listeners can subscribe to wildcard patterns:
+ * `'*'` receives every event, and a pattern ending in `*` (e.g. `'loading-*'`)
+ * receives every event starting with that prefix. Wildcard listeners are called
+ * with the event name as their first argument, followed by the event arguments.
+ */
 export default class EventEmitter {
     constructor() {
+        /**
+         * Listeners keyed by event name or wildcard pattern.
+         * @type {Object.<string, ListenerEntry[]>}
+         */
         this.events = {};
+        /**
+         * Subscription scopes keyed by their owner.
+         * @type {Map<object, EventScope>}
+         */
+        this.scopes = new Map();
     }
 
+    /**
+     * Subscribes to an event.
+     * @param {string} eventName - The name of the event, or a wildcard pattern.
+     * @param {Function} listener - The callback function to execute.
+     * @returns {Function} A function that removes this listener.
+     */
     on(eventName, listener) {
+        return this.addListener(eventName, listener, false);
+    }
+
+    /**
+     * Subscribes to an event for a single emission only.
+     * @param {string} eventName - The name of the event, or a wildcard pattern.
+     * @param {Function} listener - The callback function to execute.
+     * @returns {Function} A function that removes this listener.
+     */
+    once(eventName, listener) {
+        return this.addListener(eventName, listener, true);
+    }
+
+    /**
+     * Returns the subscription scope of an owner, creating it on first use.
+     * Listeners registered through the scope can all be removed with `clearScope(owner)`.
+     * @param {object} owner - The object the subscriptions belong to (e.g. a state or an entity).
+     * @returns {EventScope}
+     * @example
+     * eventBus.scope(this).on('change-state', this.onChangeState);
+     * // later, e.g. on exit
+     * eventBus.clearScope(this);
+     */
+    scope(owner) {
+        if (!this.scopes.has(owner)) {
+            this.scopes.set(owner, new EventScope(this));
+        }
+        return this.scopes.get(owner);
+    }
+
+    /**
+     * Removes every listener registered through an owner's scope, and forgets the scope.
+     * @param {object} owner - The owner passed to `scope()`.
+     */
+    clearScope(owner) {
+        const scope = this.scopes.get(owner);
+        if (scope) {
+            scope.clear();
+            this.scopes.delete(owner);
+        }
+    }
+
+    /**
+     * Unsubscribes from an event.
+     * @param {string} eventName - The name of the event, or the wildcard pattern used to subscribe.
+     * @param {Function} listenerToRemove - The specific callback to remove.
+     */
+    off(eventName, listenerToRemove) {
         if (!this.events[eventName]) {
-            this.events[eventName] = [];
+            return;
+        }
+        this.events[eventName] = this.events[eventName].filter(
+            (entry) => entry.listener !== listenerToRemove,
+        );
+        if (this.events[eventName].length === 0) {
+            delete this.events[eventName];
+        }
+    }
+
+    /**
+     * Removes every listener of an event, or of all events when no name is given.
+     * @param {string} [eventName] - The name of the event, or a wildcard pattern.
+     */
+    removeAllListeners(eventName) {
+        if (eventName === undefined) {
+            this.events = {};
+        } else {
+            delete this.events[eventName];
         }
-        this.events[eventName].push(listener);
     }
 
+    /**
+     * Dispatches (emits) an event to its listeners, then to matching wildcard listeners.
+     * @param {string} eventName - The name of the event.
+     * @param {...*} args - The data to pass to the listeners.
+     */
     emit(eventName, ...args) {
-        if (this.events[eventName]) {
-            this.events[eventName].forEach((listener) => listener(...args));
+        this.callListeners(eventName, eventName, args, false);
+
+        for (const pattern of Object.keys(this.events)) {
+            if (pattern.endsWith('*') && pattern !== eventName && eventName.startsWith(pattern.slice(0, -1))) {
+                this.callListeners(pattern, eventName, args, true);
+            }
+        }
+    }
+
+    /**
+     * Returns the number of listeners registered under an event name or pattern,
+     * or across all events when no name is given.
+     * @param {string} [eventName] - The name of the event, or a wildcard pattern.
+     * @returns {number}
+     */
+    listenerCount(eventName) {
+        if (eventName === undefined) {
+            return Object.values(this.events).reduce((total, entries) => total + entries.length, 0);
+        }
+        return this.events[eventName] ? this.events[eventName].length : 0;
+    }
+
+    /**
+     * Registers a listener entry.
+     * @private
+     * @param {string} eventName - The name of the event, or a wildcard pattern.
+     * @param {Function} listener - The callback function.
+     * @param {boolean} once - Whether to remove the listener after its first call.
+     * @returns {Function} A function that removes this listener.
+     */
+    addListener(eventName, listener, once) {
+        if (!this.events[eventName]) {
+            this.events[eventName] = [];
+        }
+        const entry = { listener, once };
+        this.events[eventName].push(entry);
+        return () => this.removeEntry(eventName, entry);
+    }
+
+    /**
+     * Removes a single listener entry, leaving other registrations of the same callback intact.
+     * @private
+     * @param {string} eventName - The name of the event, or a wildcard pattern.
+     * @param {ListenerEntry} entryToRemove - The entry to remove.
+     */
+    removeEntry(eventName, entryToRemove) {
+        if (!this.events[eventName]) {
+            return;
+        }
+        this.events[eventName] = this.events[eventName].filter(
+            (entry) => entry !== entryToRemove,
+        );
+        if (this.events[eventName].length === 0) {
+            delete this.events[eventName];
+        }
+    }
+
+    /**
+     * Calls the listeners registered under a key, removing `once` listeners first.
+     * @private
+     * @param {string} key - The event name or wildcard pattern the listeners were registered under.
+     * @param {string} eventName - The name of the emitted event.
+     * @param {Array<*>} args - The event arguments.
+     * @param {boolean} isWildcard - Whether to prepend the event name to the arguments.
+     */
+    callListeners(key, eventName, args, isWildcard) {
+        const entries = this.events[key];
+        if (!entries) {
+            return;
+        }
+        // Copy so listeners can subscribe or unsubscribe while the event is dispatched
+        for (const entry of [...entries]) {
+            if (entry.once) {
+                this.removeEntry(key, entry);
+            }
+            if (isWildcard) {
+                entry.listener(eventName, ...args);
+            } else {
+                entry.listener(...args);
+            }
         }
     }
 }
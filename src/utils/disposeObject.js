@@ -0,0 +1,41 @@
+/**
+ * @file Release of the GPU resources of Three.js objects.
+ * @module utils/disposeObject
+ */
+
+import { Texture } from 'three';
+
+/**
+ * Disposes of the geometries, materials and textures of an object and its descendants.
+ * Materials from the ObjectLoader's cache are shared between models and are left alone.
+ * @param {import('three').Object3D} root - The object to dispose of.
+ */
+export function disposeObject(root) {
+    const disposeMaterial = (material) => {
+        if (material && material.isMaterial && !material.userData.isCachedMaterial) {
+            // Dispose of textures associated with the material
+            for (const key in material) {
+                const value = material[key];
+                if (value instanceof Texture) {
+                    value.dispose();
+                }
+            }
+            material.dispose();
+        }
+    };
+
+    root.traverse((object) => {
+        if (object.isMesh) {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                if (Array.isArray(object.material)) {
+                    object.material.forEach(disposeMaterial);
+                } else {
+                    disposeMaterial(object.material);
+                }
+            }
+        }
+    });
+}
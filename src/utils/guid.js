@@ -0,0 +1,21 @@
+/**
+ * @file Generation of the persistent IDs of entities and world objects.
+ * @module utils/guid
+ */
+
+/**
+ * Returns a new random version 4 UUID, e.g. `'3b241101-e2bb-4255-8caf-4136c566a962'`.
+ * Uses `crypto.randomUUID` where available; it is missing outside secure contexts
+ * (e.g. the dev server opened over the LAN), where `crypto.getRandomValues` is used instead.
+ * @returns {string}
+ */
+export function createGuid() {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = [...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,32 @@
+/**
+ * @file Classification of world objects shared by the editor, the world states and the navigation grid.
+ * @module utils/objectTypes
+ */
+
+/**
+ * Determines the object type ('floor', 'wall', or 'prop') based on its model path.
+ * Floors can be walked on and stacked under other objects; walls and props block their cell.
+ * @param {string} modelPath - The path to the 3D model.
+ * @returns {'floor'|'wall'|'prop'} The determined object type.
+ */
+export function getObjectType(modelPath) {
+    if (modelPath.includes('floor')) return 'floor';
+    if (modelPath.includes('wall')) return 'wall';
+    return 'prop';
+}
+
+/**
+ * World object types that mark a place or a link instead of placing a model:
+ * portals to other worlds and named spawn points.
+ * @type {string[]}
+ */
+export const MARKER_OBJECT_TYPES = Object.freeze(['portal', 'spawnPoint']);
+
+/**
+ * Checks if a world object is a marker (see MARKER_OBJECT_TYPES) rather than a model.
+ * @param {object} objectData - The object's world data.
+ * @returns {boolean}
+ */
+export function isMarkerObject(objectData) {
+    return MARKER_OBJECT_TYPES.includes(objectData.type);
+}
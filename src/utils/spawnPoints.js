@@ -0,0 +1,66 @@
+/**
+ * @file Lookup of the named spawn points of a world.
+ * @module utils/spawnPoints
+ */
+
+import { Vector3 } from 'three';
+
+/**
+ * The name of the spawn point used when no other one is requested.
+ * @type {string}
+ */
+export const DEFAULT_SPAWN_NAME = 'start';
+
+/**
+ * Where the player appears in a world without any spawn point.
+ * Slightly above the ground, so gravity settles it onto the floor.
+ * @type {Vector3}
+ */
+export const DEFAULT_SPAWN_POSITION = Object.freeze(new Vector3(0, 1, 0));
+
+/**
+ * Finds a spawn point in world data by name. Spawn points are world objects such as
+ * `{ "type": "spawnPoint", "name": "from-hub", "position": { "x": 0, "y": 0, "z": 0 }, "rotation": { "x": 0, "y": 0, "z": 0 } }`,
+ * where `rotation.y` is the direction the player faces, in radians (0 faces +Z).
+ * @param {object | null} worldData - The world data, with an `objects` array.
+ * @param {string} name - The spawn point name.
+ * @returns {object | null} The spawn point's world data, or null if there is none with that name.
+ */
+export function findSpawnPoint(worldData, name) {
+    return getSpawnPoints(worldData).find((objectData) => objectData.name === name) || null;
+}
+
+/**
+ * Returns every spawn point of a world, in file order.
+ * @param {object | null} worldData - The world data.
+ * @returns {object[]}
+ */
+export function getSpawnPoints(worldData) {
+    const objects = (worldData && worldData.objects) || [];
+    return objects.filter((objectData) => objectData.type === 'spawnPoint');
+}
+
+/**
+ * Resolves where and facing which way the player appears in a world: at the named spawn
+ * point if it exists, otherwise at the `start` spawn point, the first spawn point,
+ * or the default position, in that order.
+ * @param {object | null} worldData - The world data.
+ * @param {string} [name] - The spawn point name, e.g. from the portal the player came through.
+ * @returns {{position: Vector3, rotationY: number}} A new position and the facing in radians.
+ */
+export function resolveSpawn(worldData, name) {
+    let spawnPoint = name ? findSpawnPoint(worldData, name) : null;
+    if (name && !spawnPoint) {
+        console.warn(`Spawn point "${name}" not found, using the default spawn point.`);
+    }
+    spawnPoint = spawnPoint || findSpawnPoint(worldData, DEFAULT_SPAWN_NAME) || getSpawnPoints(worldData)[0];
+
+    if (!spawnPoint || !spawnPoint.position) {
+        return { position: DEFAULT_SPAWN_POSITION.clone(), rotationY: 0 };
+    }
+    const { x = 0, y = 0, z = 0 } = spawnPoint.position;
+    return {
+        position: new Vector3(x, y, z),
+        rotationY: (spawnPoint.rotation && spawnPoint.rotation.y) || 0,
+    };
+}
@@ -20,7 +20,7 @@ export default class Game1World {
         this.scene.add(plane);
     }
 
-    update() {
+    update(deltaTime) {
         // Game 1 logic
     }
 }
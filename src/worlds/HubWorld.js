@@ -20,16 +20,13 @@ export default class HubWorld {
 
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
         this.scene.add(directionalLight);
-
-        this.lastTime = performance.now();
     }
 
-    update() {
-        const time = performance.now();
-        const deltaTime = (time - this.lastTime) / 1000;
-
+    update(deltaTime) {
         this.player.update(deltaTime);
+    }
 
-        this.lastTime = time;
+    dispose() {
+        this.player.dispose();
     }
 }